@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {mergeCatalog} from '../message-catalog';
+
+const USAGE =
+    'Usage: react-intl-merge-messages [--remove-obsolete] <messages-file>\n\n' +
+    'Writes the catalog of the `messagesFile` option, e.g. ' +
+    'build/messages.json, from the messages extracted by the build, and ' +
+    'syncs the files of its `locales`. Runs once the whole build is ' +
+    'transformed, from the directory the build runs in.\n\n' +
+    '  --remove-obsolete  Remove the messages which aren\'t extracted anymore ' +
+    'from the locale files, instead of marking them obsolete. Only meant for ' +
+    'builds of the whole app.\n';
+
+function parseArgs(args) {
+    const options = {files: [], removeObsolete: false};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+        case '--remove-obsolete':
+            options.removeObsolete = true;
+            break;
+
+        case '--help':
+            options.help = true;
+            break;
+
+        default:
+            options.files.push(args[i]);
+        }
+    }
+
+    return options;
+}
+
+function main(args) {
+    const options = parseArgs(args);
+
+    if (options.help || options.files.length !== 1) {
+        process.stderr.write(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const [catalogFilename] = options.files;
+    let messages;
+
+    try {
+        messages = mergeCatalog(catalogFilename, {
+            removeObsolete: options.removeObsolete,
+        });
+    } catch (e) {
+        process.stderr.write(e.message + '\n');
+        return 1;
+    }
+
+    process.stderr.write(
+        `[React Intl] ${catalogFilename}: ${messages.length} message(s)\n`
+    );
+
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
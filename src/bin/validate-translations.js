@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {readFileSync, writeFileSync} from 'fs';
+import validateTranslations from '../validate-translations';
+
+const USAGE =
+    'Usage: react-intl-validate-translations [--report <file>] [--strict] ' +
+    '<locale-file>...\n\n' +
+    'Validates the translations of the locale files, e.g. locales/de.json, ' +
+    'against their source messages.\n\n' +
+    '  --report <file>  Write the JSON report to <file> instead of stdout.\n' +
+    '  --strict         Fail on warnings as well as on errors.\n';
+
+function parseArgs(args) {
+    const options = {files: [], report: null, strict: false};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+        case '--report':
+            options.report = args[++i];
+            break;
+
+        case '--strict':
+            options.strict = true;
+            break;
+
+        case '--help':
+            options.help = true;
+            break;
+
+        default:
+            options.files.push(args[i]);
+        }
+    }
+
+    return options;
+}
+
+function main(args) {
+    const options = parseArgs(args);
+
+    if (options.help || options.files.length === 0) {
+        process.stderr.write(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const locales = options.files.map((filename) => {
+        const locale = p.basename(filename, p.extname(filename));
+        const localeMessages = JSON.parse(readFileSync(filename, 'utf8'));
+
+        return validateTranslations(localeMessages, locale);
+    });
+
+    const errors = locales.reduce((count, {errors}) => count + errors.length, 0);
+    const warnings = locales.reduce((count, {warnings}) => count + warnings.length, 0);
+    const valid = errors === 0 && (!options.strict || warnings === 0);
+
+    const report = JSON.stringify({valid, errors, warnings, locales}, null, 2);
+
+    if (options.report) {
+        writeFileSync(options.report, report);
+    } else {
+        process.stdout.write(report + '\n');
+    }
+
+    locales.forEach(({locale, errors, warnings}) => {
+        process.stderr.write(
+            `[React Intl] ${locale}: ${errors.length} error(s), ` +
+            `${warnings.length} warning(s)\n`
+        );
+    });
+
+    return valid ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,24 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/**
+ * Sorts message ids alphabetically, ignoring case. Ids which only differ in
+ * case are kept in a stable order too.
+ */
+export default function compareIds(a, b) {
+    const lowerA = a.toLowerCase();
+    const lowerB = b.toLowerCase();
+
+    if (lowerA !== lowerB) {
+        return lowerA > lowerB ? 1 : -1;
+    }
+
+    if (a !== b) {
+        return a > b ? 1 : -1;
+    }
+
+    return 0;
+}
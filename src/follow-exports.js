@@ -0,0 +1,216 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {readFileSync, statSync} from 'fs';
+import {parse} from 'babylon';
+import createModuleResolver from './resolve-module';
+
+const PARSER_PLUGINS = [
+    'jsx',
+    'flow',
+    'classProperties',
+    'objectRestSpread',
+    'exportExtensions',
+    'decorators',
+    'asyncGenerators',
+    'dynamicImport',
+];
+
+// The re-exports of each module file, which are read once per build, and again
+// when the file changes, e.g. in watch mode.
+const cache = new Map();
+
+function getStat(filename) {
+    try {
+        const stat = statSync(filename);
+        return stat.isFile() ? stat : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getImportedName(specifier) {
+    switch (specifier.type) {
+    case 'ImportDefaultSpecifier':
+        return 'default';
+    case 'ImportSpecifier':
+        return specifier.imported.name;
+    default:
+        return null;
+    }
+}
+
+/**
+ * Reads which exports of a module come from other modules, as a map of the
+ * exported names to the `{source, importName}` they are re-exported from, and
+ * the sources of its `export * from` declarations.
+ *
+ * Both `export {X} from 'source'` and imports which are exported again, e.g.
+ * `import X from 'source'; export {X};`, are re-exports.
+ */
+function parseReExports(code) {
+    const named = new Map();
+    const all = [];
+    const imports = new Map();
+
+    const {program} = parse(code, {
+        sourceType: 'module',
+        plugins   : PARSER_PLUGINS,
+    });
+
+    program.body.forEach((node) => {
+        if (node.type === 'ImportDeclaration') {
+            node.specifiers.forEach((specifier) => {
+                const importName = getImportedName(specifier);
+
+                if (importName) {
+                    imports.set(specifier.local.name, {
+                        source: node.source.value,
+                        importName,
+                    });
+                }
+            });
+        }
+    });
+
+    program.body.forEach((node) => {
+        if (node.type === 'ExportAllDeclaration') {
+            all.push(node.source.value);
+            return;
+        }
+
+        if (node.type === 'ExportDefaultDeclaration') {
+            const {declaration} = node;
+
+            if (declaration.type === 'Identifier' && imports.has(declaration.name)) {
+                named.set('default', imports.get(declaration.name));
+            }
+
+            return;
+        }
+
+        if (node.type !== 'ExportNamedDeclaration' || node.declaration) {
+            return;
+        }
+
+        node.specifiers.forEach((specifier) => {
+            const exportedName = specifier.exported.name;
+
+            if (node.source) {
+                // `export X from` of the `exportExtensions` proposal.
+                const importName = specifier.type === 'ExportDefaultSpecifier'
+                    ? 'default'
+                    : specifier.local.name;
+
+                if (specifier.type !== 'ExportNamespaceSpecifier') {
+                    named.set(exportedName, {source: node.source.value, importName});
+                }
+            } else if (imports.has(specifier.local.name)) {
+                named.set(exportedName, imports.get(specifier.local.name));
+            }
+        });
+    });
+
+    return {named, all};
+}
+
+function readReExports(filename) {
+    const stat = getStat(filename);
+
+    if (!stat) {
+        return null;
+    }
+
+    const cached = cache.get(filename);
+
+    if (cached && cached.mtime.getTime() === stat.mtime.getTime()) {
+        return cached.reExports;
+    }
+
+    let reExports;
+
+    try {
+        reExports = parseReExports(readFileSync(filename, 'utf8'));
+    } catch (e) {
+        // Modules which can't be parsed are treated as re-exporting nothing.
+        reExports = null;
+    }
+
+    cache.set(filename, {mtime: stat.mtime, reExports});
+    return reExports;
+}
+
+/**
+ * Creates a function which follows the re-export chains of an export across
+ * module files, e.g. through barrel files like:
+ *
+ *     export {FormattedMessage} from 'react-intl';
+ *     export * from './components';
+ *
+ * It's given the path of the module file, and returns every
+ * `{module, importName}` the export may come from, with `module` being a
+ * module identity as returned by `createModuleResolver()`. The modules are
+ * followed through their files, as identities may be alias names. The
+ * `options` are the ones of `createModuleResolver()`.
+ */
+export default function createExportsFollower(options = {}) {
+    const resolvers = new Map();
+
+    function getResolver(filename) {
+        if (!resolvers.has(filename)) {
+            resolvers.set(filename, createModuleResolver(filename, options));
+        }
+
+        return resolvers.get(filename);
+    }
+
+    function follow(moduleFilename, importName, visited) {
+        const key = `${moduleFilename}\u0000${importName}`;
+
+        // Only module files are followed, packages are taken as they are.
+        if (visited.has(key) || !moduleFilename) {
+            return [];
+        }
+
+        visited.add(key);
+
+        const reExports = readReExports(moduleFilename);
+
+        if (!reExports) {
+            return [];
+        }
+
+        const origins = [];
+        const addOrigin = (source, name) => {
+            const resolveModule = getResolver(moduleFilename);
+
+            origins.push({module: resolveModule(source), importName: name});
+            origins.push(...follow(resolveModule.resolveFile(source), name, visited));
+        };
+
+        if (reExports.named.has(importName)) {
+            const {source, importName: name} = reExports.named.get(importName);
+            addOrigin(source, name);
+        } else if (importName !== 'default') {
+            // `export *` never re-exports the default export.
+            reExports.all.forEach((source) => addOrigin(source, importName));
+        }
+
+        return origins;
+    }
+
+    const origins = new Map();
+
+    return function findExportOrigins(moduleFilename, importName) {
+        const key = `${moduleFilename}\u0000${importName}`;
+
+        if (!origins.has(key)) {
+            origins.set(key, follow(moduleFilename, importName, new Set()));
+        }
+
+        return origins.get(key);
+    };
+}
@@ -0,0 +1,20 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+export const extension = '.json';
+
+/**
+ * Writes the messages as a flat `{id: defaultMessage}` object, which is the
+ * shape React Intl expects its `messages` in.
+ */
+export default function formatFlatJSON(messages) {
+    const flatMessages = messages.reduce((hash, {id, defaultMessage}) => {
+        hash[id] = defaultMessage;
+        return hash;
+    }, {});
+
+    return JSON.stringify(flatMessages, null, 2);
+}
@@ -0,0 +1,74 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import * as json from './json';
+import * as flatJSON from './flat-json';
+import * as xliff12 from './xliff-1.2';
+import * as xliff20 from './xliff-2.0';
+import * as po from './po';
+import * as pot from './pot';
+
+const FORMATTERS = {
+    'json'     : json,
+    'flat-json': flatJSON,
+    'xliff-1.2': xliff12,
+    'xliff-2.0': xliff20,
+    'po'       : po,
+    'pot'      : pot,
+};
+
+const DEFAULT_FORMAT = 'json';
+
+const loadedFormatters = new Map();
+
+function loadFormatter(modulePath) {
+    const resolvedPath = modulePath[0] === '.'
+        ? p.resolve(process.cwd(), modulePath)
+        : modulePath;
+
+    let formatter;
+    try {
+        formatter = require(resolvedPath);
+    } catch (e) {
+        throw new Error(
+            `[React Intl] Unable to load messages formatter "${modulePath}": ` +
+            e.message
+        );
+    }
+
+    const format = formatter.default || formatter;
+    if (typeof format !== 'function') {
+        throw new Error(
+            `[React Intl] Messages formatter "${modulePath}" must export ` +
+            'a function.'
+        );
+    }
+
+    return {
+        format,
+        extension: formatter.extension || format.extension || '.json',
+    };
+}
+
+/**
+ * Returns the `{format, extension}` of a built-in formatter, or of the module
+ * at the given path. A formatter is a function which takes the sorted message
+ * descriptors and `{sourceLocale, filename, references}` options, and returns
+ * the contents of the messages file.
+ */
+export default function getFormatter(name = DEFAULT_FORMAT) {
+    if (FORMATTERS.hasOwnProperty(name)) {
+        const {default: format, extension} = FORMATTERS[name];
+        return {format, extension};
+    }
+
+    if (!loadedFormatters.has(name)) {
+        loadedFormatters.set(name, loadFormatter(name));
+    }
+
+    return loadedFormatters.get(name);
+}
@@ -0,0 +1,15 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+export const extension = '.json';
+
+/**
+ * Writes the message descriptors as they are extracted, as an array of
+ * `{id, description, defaultMessage}` objects.
+ */
+export default function formatJSON(messages) {
+    return JSON.stringify(messages, null, 2);
+}
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+export const extension = '.po';
+
+const PO_ESCAPED_CHARS = {
+    '\\': '\\\\',
+    '"' : '\\"',
+    '\n': '\\n',
+    '\t': '\\t',
+};
+
+const PO_ESCAPE_CHARS_REGEXP = /[\\"\n\t]/g;
+
+function quote(string) {
+    return '"' + string.replace(
+        PO_ESCAPE_CHARS_REGEXP,
+        (char) => PO_ESCAPED_CHARS[char]
+    ) + '"';
+}
+
+function formatHeader(sourceLocale) {
+    return [
+        'msgid ""',
+        'msgstr ""',
+        quote('Content-Type: text/plain; charset=UTF-8\n'),
+        quote('Content-Transfer-Encoding: 8bit\n'),
+        quote(`Language: ${sourceLocale}\n`),
+    ];
+}
+
+function formatEntry({id, description, defaultMessage}, references, isTemplate) {
+    const lines = [];
+
+    if (description) {
+        description.split('\n').forEach((line) => {
+            lines.push(`#. ${line}`);
+        });
+    }
+
+    (references.get(id) || []).forEach(({file, start}) => {
+        lines.push(`#: ${start ? `${file}:${start.line}` : file}`);
+    });
+
+    // The `id` is the context, so messages sharing the same source text can
+    // still be translated independently.
+    lines.push(
+        `msgctxt ${quote(id)}`,
+        `msgid ${quote(defaultMessage)}`,
+        `msgstr ${quote(isTemplate ? '' : defaultMessage)}`
+    );
+
+    return lines;
+}
+
+function createPOFormatter(isTemplate) {
+    return function formatPO(messages, options) {
+        const {sourceLocale, references} = options;
+
+        const entries = [formatHeader(sourceLocale)].concat(
+            messages.map((message) => (
+                formatEntry(message, references, isTemplate)
+            ))
+        );
+
+        return entries.map((lines) => lines.join('\n')).join('\n\n') + '\n';
+    };
+}
+
+/**
+ * Writes the messages as a gettext PO file of the source locale, with the
+ * descriptions as extracted comments (`#.`) and the source locations as
+ * references (`#:`).
+ */
+export default createPOFormatter(false);
+
+/**
+ * Same as the PO file, but as a template with empty translations.
+ */
+export const formatPOT = createPOFormatter(true);
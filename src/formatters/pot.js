@@ -0,0 +1,11 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {formatPOT} from './po';
+
+export const extension = '.pot';
+
+export default formatPOT;
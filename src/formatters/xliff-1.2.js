@@ -0,0 +1,75 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {escapeXML, indent} from './xml';
+
+export const extension = '.xlf';
+
+function formatContextGroup({file, start}) {
+    const contexts = [
+        `<context context-type="sourcefile">${escapeXML(file)}</context>`,
+    ];
+
+    if (start) {
+        contexts.push(
+            `<context context-type="linenumber">${start.line}</context>`
+        );
+    }
+
+    return [
+        '<context-group purpose="location">',
+        ...indent(contexts, 1),
+        '</context-group>',
+    ];
+}
+
+function formatTransUnit({id, description, defaultMessage}, references) {
+    const lines = [
+        `<source>${escapeXML(defaultMessage)}</source>`,
+    ];
+
+    if (description) {
+        lines.push(`<note>${escapeXML(description)}</note>`);
+    }
+
+    (references.get(id) || []).forEach((reference) => {
+        lines.push(...formatContextGroup(reference));
+    });
+
+    return [
+        `<trans-unit id="${escapeXML(id)}" resname="${escapeXML(id)}">`,
+        ...indent(lines, 1),
+        '</trans-unit>',
+    ];
+}
+
+/**
+ * Writes the messages as an XLIFF 1.2 document, with the descriptions as
+ * notes and the source locations as context groups.
+ */
+export default function formatXLIFF12(messages, options) {
+    const {sourceLocale, filename, references} = options;
+
+    const units = messages.reduce((lines, message) => (
+        lines.concat(formatTransUnit(message, references))
+    ), []);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        ...indent([
+            `<file source-language="${escapeXML(sourceLocale)}" datatype="plaintext" original="${escapeXML(filename)}">`,
+            ...indent([
+                '<body>',
+                ...indent(units, 1),
+                '</body>',
+            ], 1),
+            '</file>',
+        ], 1),
+        '</xliff>',
+        '',
+    ].join('\n');
+}
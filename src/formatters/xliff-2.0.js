@@ -0,0 +1,64 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {escapeXML, indent} from './xml';
+
+export const extension = '.xlf';
+
+function formatNotes(description, references) {
+    const notes = references.map(({file, start}) => (
+        `<note category="location">${escapeXML(start ? `${file}:${start.line}` : file)}</note>`
+    ));
+
+    if (description) {
+        notes.unshift(
+            `<note category="description">${escapeXML(description)}</note>`
+        );
+    }
+
+    return notes.length > 0
+        ? ['<notes>', ...indent(notes, 1), '</notes>']
+        : [];
+}
+
+function formatUnit({id, description, defaultMessage}, references) {
+    return [
+        `<unit id="${escapeXML(id)}">`,
+        ...indent([
+            ...formatNotes(description, references.get(id) || []),
+            '<segment>',
+            ...indent([
+                `<source>${escapeXML(defaultMessage)}</source>`,
+            ], 1),
+            '</segment>',
+        ], 1),
+        '</unit>',
+    ];
+}
+
+/**
+ * Writes the messages as an XLIFF 2.0 document, with the descriptions and
+ * the source locations as notes.
+ */
+export default function formatXLIFF20(messages, options) {
+    const {sourceLocale, filename, references} = options;
+
+    const units = messages.reduce((lines, message) => (
+        lines.concat(formatUnit(message, references))
+    ), []);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXML(sourceLocale)}">`,
+        ...indent([
+            `<file id="f1" original="${escapeXML(filename)}">`,
+            ...indent(units, 1),
+            '</file>',
+        ], 1),
+        '</xliff>',
+        '',
+    ].join('\n');
+}
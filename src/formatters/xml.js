@@ -0,0 +1,27 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+const XML_ESCAPED_CHARS = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;',
+};
+
+const XML_ESCAPE_CHARS_REGEXP = /[&<>"']/g;
+
+export function escapeXML(string) {
+    return String(string).replace(
+        XML_ESCAPE_CHARS_REGEXP,
+        (char) => XML_ESCAPED_CHARS[char]
+    );
+}
+
+export function indent(lines, depth) {
+    const spaces = new Array(depth + 1).join('  ');
+    return lines.map((line) => spaces + line);
+}
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {createHash} from 'crypto';
+import {writeFileSync} from 'fs';
+import {sync as mkdirpSync} from 'mkdirp';
+import compareIds from './compare-ids';
+
+const HASH_ID_LENGTH = 8;
+
+// Registry of the short ids given by this process, mapping each mapping file to
+// the ids of every source file written into it, the same way the message
+// catalogs are. The mapping file itself is written when the catalog is merged.
+const mappings = new Map();
+
+function getMapping(mappingFilename) {
+    const key = p.resolve(mappingFilename);
+
+    if (!mappings.has(key)) {
+        mappings.set(key, new Map());
+    }
+
+    return mappings.get(key);
+}
+
+/**
+ * Creates a short id from a hash of the given strings, made of URL and
+ * identifier friendly characters only. The same strings always give the same
+ * id, from one build to the other.
+ */
+export function hashId(parts) {
+    return createHash('sha1')
+        .update(JSON.stringify(parts))
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .slice(0, HASH_ID_LENGTH);
+}
+
+/**
+ * Finds the short id a message `id` was given in another source file.
+ */
+export function findShortId(mappingFilename, sourceFilename, id) {
+    for (let [filename, shortIds] of getMapping(mappingFilename)) {
+        if (filename !== sourceFilename && shortIds.has(id)) {
+            return shortIds.get(id);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Replaces the short ids of `sourceFilename`, a map of the original message ids
+ * to their short id, which the other source files are checked against.
+ */
+export function updateIdMapping(mappingFilename, sourceFilename, shortIds) {
+    getMapping(mappingFilename).set(sourceFilename, shortIds);
+}
+
+/**
+ * Writes the mapping file from the short ids of every source file of the build,
+ * a map of the source files to their short ids, sorted by `id`. An `id` given
+ * different short ids in several files fails.
+ */
+export function writeIdMapping(mappingFilename, files) {
+    const ids = new Map();
+
+    for (let [filename, shortIds] of files) {
+        shortIds.forEach((shortId, id) => {
+            const existing = ids.get(id);
+
+            if (existing && existing.shortId !== shortId) {
+                throw new Error(
+                    `[React Intl] Message id "${id}" is given the short id ` +
+                    `"${shortId}" in ${filename}, but "${existing.shortId}" ` +
+                    `in ${existing.filename}.`
+                );
+            }
+
+            ids.set(id, {shortId, filename});
+        });
+    }
+
+    const mapping = [...ids.keys()]
+        .sort(compareIds)
+        .reduce((hash, id) => {
+            hash[id] = ids.get(id).shortId;
+            return hash;
+        }, {});
+
+    mkdirpSync(p.dirname(mappingFilename));
+    writeFileSync(mappingFilename, JSON.stringify(mapping, null, 2));
+}
@@ -8,7 +8,17 @@ import * as p from 'path';
 import {writeFileSync} from 'fs';
 import {sync as mkdirpSync} from 'mkdirp';
 import { includes, last, head } from 'lodash';
+import {parse as parseICUMessage} from 'intl-messageformat-parser';
 import printICUMessage from './print-icu-message';
+import createModuleResolver, {getModuleResolverOptions} from './resolve-module';
+import createExportsFollower from './follow-exports';
+import {findConflictingMessage, normalizeMessages, updateCatalog} from './message-catalog';
+import getFormatter from './formatters';
+import {collectArguments} from './validate-translations';
+import pseudoLocalize, {getStrategies as getPseudoLocaleStrategies} from './pseudo-localize';
+import loadTranslations from './load-translations';
+import {findShortId, hashId, updateIdMapping} from './id-mapping';
+import createPluralMessage, {PLURAL_CATEGORIES} from './plural-message';
 
 const COMPONENT_NAMES = [
   'FormattedMessage',
@@ -19,21 +29,77 @@ const FUNCTION_NAMES = [
   'translate',
 ];
 
+const FORMAT_MESSAGE_NAMES = [
+  'formatMessage',
+  'formatHTMLMessage',
+];
+
+const DEFINE_MESSAGES_NAMES = [
+  'defineMessages',
+];
+
+const NO_INJECT_DIRECTIVE = '@noInjectIntl';
+
+const HOIST_STATICS_SOURCE_NAME = 'hoist-non-react-statics';
+
+// Aliases recognized when none are configured, which keeps the imports of the
+// Skybase packages through relative paths working as they always did.
+const DEFAULT_ALIASES = [
+  'skybase-components',
+  'skybase-core',
+  'skybase-shell',
+  'skybase-styling',
+];
+
+// Statics which are handled by React itself and must not be copied onto the
+// `injectIntl` wrapper, same as `hoist-non-react-statics` does.
+const REACT_STATICS = new Set([
+  'childContextTypes',
+  'contextType',
+  'contextTypes',
+  'defaultProps',
+  'displayName',
+  'getDefaultProps',
+  'getDerivedStateFromError',
+  'getDerivedStateFromProps',
+  'mixins',
+  'propTypes',
+  'type',
+]);
+
+const REACT_COMPONENT_NAMES = [
+  'Component',
+  'PureComponent',
+];
+
 const DEFAULT_MODULE_SOURCE_NAME = 'skybase-core/utils/translate';
 const DEFAULT_REACT_INTL_SOURCE_NAME = 'react-intl';
-const DESCRIPTOR_PROPS = new Set(['id', 'description']);
+const REACT_SOURCE_NAME = 'react';
+const DEFAULT_SOURCE_LOCALE = 'en';
+const DEFAULT_LOCALES_DIR = './locales';
+const DESCRIPTOR_PROPS = new Set(['id', 'description', 'defaultMessage']);
+const PLURAL_ARGUMENT_NAME = 'count';
+
+// Props of the built-in components holding each part of a message.
+const MESSAGE_PROPS = {
+  id: 'id',
+  defaultMessage: 'defaultMessage',
+  description: 'description',
+  values: 'values',
+};
 
-// @todo Move to plugin's internal state.
-let importSet = false;
-let convertedClassNames = [];
+// Arguments of `intl.formatMessage()`, which functions listed in the
+// `messageFunctions` option are expected to take unless told otherwise.
+const MESSAGE_ARGUMENTS = {
+  descriptor: 0,
+  values: 1,
+};
 
 const CLASS_TYPES = {
   CLASS: 'CLASS',
   STATELESS_FUNCTION: 'STATELESS_FUNCTION',
 };
 
-let classType = null;
-
 const developmentMode = process.env['NODE_ENV'] === 'development';
 
 export default function ({ types: t }) {
@@ -42,7 +108,436 @@ export default function ({ types: t }) {
     return opts.moduleSourceName || defaultSource;
   }
 
-  function storeMessage({id, description}, path, state) {
+  function getMessageDescriptorKey(path) {
+    if (path.isIdentifier() || path.isJSXIdentifier()) {
+      return path.node.name;
+    }
+
+    const evaluated = path.evaluate();
+    if (evaluated.confident) {
+      return evaluated.value;
+    }
+
+    throw path.buildCodeFrameError(
+      '[React Intl] Messages must be statically evaluate-able for extraction.'
+    );
+  }
+
+  function getMessageDescriptorValue(path) {
+    if (path.isJSXExpressionContainer()) {
+      path = path.get('expression');
+    }
+
+    const evaluated = path.evaluate();
+    if (evaluated.confident) {
+      return evaluated.value;
+    }
+
+    throw path.buildCodeFrameError(
+      '[React Intl] Messages must be statically evaluate-able for extraction.'
+    );
+  }
+
+  /**
+   * @desc
+   * Parses and normalizes an ICU message, throwing a code frame error which
+   * points at `path` and includes the parser's position within the message
+   * when it's not valid.
+   *
+   * @param message
+   * @param path
+   * @param options
+   * @returns {string}
+   */
+  function printMessage(message, path, options = {}) {
+    const {isJSXSource = false} = options;
+
+    try {
+      return printICUMessage(message);
+    } catch (parseError) {
+      if (isJSXSource &&
+          path.isLiteral() &&
+          message.indexOf('\\\\') >= 0) {
+
+        throw path.buildCodeFrameError(
+          '[React Intl] Message failed to parse. ' +
+          'It looks like `\\`s were used for escaping, ' +
+          'this won\'t work with JSX string literals. ' +
+          'Wrap with `{}`. ' +
+          'See: http://facebook.github.io/react/docs/jsx-gotchas.html'
+        );
+      }
+
+      const {location} = parseError;
+      const position = location
+        ? ` at line ${location.start.line}, column ${location.start.column}`
+        : '';
+
+      throw path.buildCodeFrameError(
+        `[React Intl] Message failed to parse${position}: ` +
+        `${parseError.message} ` +
+        'See: http://formatjs.io/guides/message-syntax/'
+      );
+    }
+  }
+
+  function createMessageDescriptor(propPaths, options = {}) {
+    const {isJSXSource = false, allowDynamicId = false} = options;
+
+    return propPaths.reduce((hash, [keyPath, valuePath]) => {
+      const key = typeof keyPath === 'string'
+        ? keyPath
+        : getMessageDescriptorKey(keyPath);
+
+      if (!DESCRIPTOR_PROPS.has(key)) {
+        return hash;
+      }
+
+      // Dynamic ids are kept as the path of their expression, to be expanded
+      // by `expandDynamicId()`.
+      if (key === 'id' && allowDynamicId) {
+        const idPath = valuePath.isJSXExpressionContainer()
+          ? valuePath.get('expression')
+          : valuePath;
+
+        if (!idPath.evaluate().confident) {
+          hash.dynamicIdPath = idPath;
+          return hash;
+        }
+      }
+
+      const value = getMessageDescriptorValue(valuePath).trim();
+
+      if (key === 'defaultMessage') {
+        hash[key] = printMessage(value, valuePath, {isJSXSource});
+      } else {
+        hash[key] = value;
+      }
+
+      return hash;
+    }, {});
+  }
+
+  /**
+   * @desc
+   * Returns the value of an argument when it's a string which can be
+   * statically evaluated, e.g. a constant or a template literal of constants.
+   *
+   * @param path
+   * @returns {string|null}
+   */
+  function getStaticString(path) {
+    const evaluated = path.evaluate();
+
+    return evaluated.confident && typeof evaluated.value === 'string'
+      ? evaluated.value
+      : null;
+  }
+
+  /**
+   * @desc
+   * Returns the shape of a dynamic id, with a `*` in place of each of its
+   * dynamic parts, e.g. `nav.*.title` for `` `nav.${key}.title` ``.
+   *
+   * @param path
+   * @returns {string}
+   */
+  function getDynamicIdPattern(path) {
+    const evaluated = path.evaluate();
+
+    if (evaluated.confident) {
+      return String(evaluated.value);
+    }
+
+    if (path.isTemplateLiteral()) {
+      const expressions = path.get('expressions');
+
+      return path.node.quasis.map((quasi, i) => (
+        quasi.value.cooked +
+        (i < expressions.length ? getDynamicIdPattern(expressions[i]) : '')
+      )).join('').replace(/\*+/g, '*');
+    }
+
+    if (path.isBinaryExpression({operator: '+'})) {
+      return (
+        getDynamicIdPattern(path.get('left')) +
+        getDynamicIdPattern(path.get('right'))
+      ).replace(/\*+/g, '*');
+    }
+
+    return '*';
+  }
+
+  function patternToRegExp(pattern) {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * @desc
+   * Fills the `*` of a dynamic id pattern with one of the values listed for
+   * it, which is a tuple with a value per `*` when the pattern has several.
+   *
+   * @param pattern
+   * @param value
+   * @param idPath
+   * @returns {string}
+   */
+  function fillDynamicIdPattern(pattern, value, idPath) {
+    const parts = pattern.split('*');
+    const values = [].concat(value);
+
+    if (values.length !== parts.length - 1) {
+      throw idPath.buildCodeFrameError(
+        `[React Intl] The ids of \`${pattern}\` in the \`allowedDynamicIds\` ` +
+        `option must be given ${parts.length - 1} value(s) each, one per \`*\`, ` +
+        `but ${JSON.stringify(value)} was given.`
+      );
+    }
+
+    return parts.reduce((id, part, i) => id + values[i - 1] + part);
+  }
+
+  /**
+   * @desc
+   * Returns the ids a dynamic id may expand to, as declared with the
+   * `allowedDynamicIds` option. The messages of the ids listed for the exact
+   * shape of the id are extracted; ids matching a pattern declared with `true`
+   * are accepted, but not extracted. Other dynamic ids are reported according
+   * to the `dynamicIds` option.
+   *
+   * Ids which are static but not strings, e.g. `translate(123)`, are errors.
+   *
+   * @param idPath
+   * @param state
+   * @returns {Array}
+   */
+  function expandDynamicId(idPath, state) {
+    const {file, opts} = state;
+    const allowed = opts.allowedDynamicIds || {};
+    const evaluated = idPath.evaluate();
+
+    if (evaluated.confident) {
+      throw idPath.buildCodeFrameError(
+        `[React Intl] Message id must be a string, but ${idPath.getSource()} ` +
+        `is a ${evaluated.value === null ? 'null' : typeof evaluated.value}.`
+      );
+    }
+
+    const pattern = getDynamicIdPattern(idPath);
+
+    if (Array.isArray(allowed[pattern])) {
+      return allowed[pattern].map((value) => fillDynamicIdPattern(pattern, value, idPath));
+    }
+
+    const isAllowed = Object.keys(allowed).some((name) => (
+      allowed[name] === true && patternToRegExp(name).test(pattern)
+    ));
+
+    if (isAllowed) {
+      return [];
+    }
+
+    const message =
+      `Message id ${idPath.getSource()} can't be statically evaluated, ` +
+      'so its message isn\'t extracted. Declare the ids it expands to as ' +
+      `\`${pattern}\` with the \`allowedDynamicIds\` option.`;
+
+    if (opts.dynamicIds === 'error') {
+      throw idPath.buildCodeFrameError(`[React Intl] ${message}`);
+    }
+
+    const {loc} = idPath.node;
+    file.log.warn(
+      `[React Intl] ${loc ? `Line ${loc.start.line}: ` : ''}${message}`
+    );
+
+    return [];
+  }
+
+  /**
+   * @desc
+   * Stores the messages of the ids a dynamic id expands to.
+   *
+   * @param descriptor
+   * @param state
+   */
+  function storeDynamicMessages(descriptor, state) {
+    const {dynamicIdPath} = descriptor;
+
+    expandDynamicId(dynamicIdPath, state).forEach((id) => {
+      storeMessage({...descriptor, id}, dynamicIdPath, state);
+    });
+  }
+
+  /**
+   * @desc
+   * Removes the `description` prop of a JSX element when the
+   * `removeDescriptions` option is set.
+   *
+   * @param path
+   * @param state
+   * @param propName
+   */
+  function removeDescriptionAttribute(path, state, propName = MESSAGE_PROPS.description) {
+    const descriptionAttribute = getJSXAttributeById(path, propName);
+
+    if (state.opts.removeDescriptions && descriptionAttribute) {
+      descriptionAttribute.remove();
+    }
+  }
+
+  /**
+   * @desc
+   * Returns the short id which replaces a message `id` in the output code when
+   * the `hashIds` option is set, a hash of the given `content`. An `id` must be
+   * given the same short id everywhere, or else the catalogs couldn't be
+   * mapped to the short ids.
+   *
+   * @param id
+   * @param content
+   * @param path
+   * @param state
+   * @returns {string}
+   */
+  function getShortId(id, content, path, state) {
+    const {file, opts, reactIntl} = state;
+    const shortId = hashId(content);
+    const existing = reactIntl.shortIds.get(id) || (opts.idMappingFile
+      ? findShortId(opts.idMappingFile, file.opts.filename, id)
+      : null);
+
+    if (existing && existing !== shortId) {
+      throw path.buildCodeFrameError(
+        `[React Intl] Message id "${id}" is given the short id "${shortId}", ` +
+        `but it was given "${existing}" elsewhere. Messages with the same ` +
+        '`id` must have the same `description` and `defaultMessage`, and ' +
+        'be declared in a single `defineMessages()` call.'
+      );
+    }
+
+    reactIntl.shortIds.set(id, shortId);
+    return shortId;
+  }
+
+  /**
+   * @desc
+   * Returns the content a message's short id is hashed from.
+   *
+   * @param descriptor
+   * @returns {Array}
+   */
+  function getMessageContent({defaultMessage, description}) {
+    return [defaultMessage, description || null];
+  }
+
+  /**
+   * @desc
+   * Returns the translation of a message from the `translationsFile`, or the
+   * source message, with a warning, when it isn't translated or the
+   * translation doesn't parse.
+   *
+   * @param id
+   * @param message
+   * @param path
+   * @param state
+   * @returns {string}
+   */
+  function getTranslatedMessage(id, message, path, state) {
+    const {file, opts, reactIntl} = state;
+    const translation = reactIntl.translations.get(id);
+    let problem = `Message "${id}" isn't translated in "${opts.translationsFile}"`;
+
+    if (translation) {
+      try {
+        return printICUMessage(translation);
+      } catch (parseError) {
+        problem =
+          `The translation of message "${id}" in "${opts.translationsFile}" ` +
+          `failed to parse (${parseError.message})`;
+      }
+    }
+
+    const {loc} = path.node;
+    file.log.warn(
+      `[React Intl] ${loc ? `Line ${loc.start.line}: ` : ''}` +
+      `${problem}, the source message is used instead.`
+    );
+
+    return message;
+  }
+
+  /**
+   * @desc
+   * Returns the message written into the output code for a stored message
+   * descriptor: its source text, or its translation when the
+   * `translationsFile` option is set, turned into pseudo-locale text when the
+   * `pseudoLocale` option is set.
+   *
+   * @param descriptor
+   * @param path
+   * @param state
+   * @returns {string}
+   */
+  function getOutputMessage({id, defaultMessage}, path, state) {
+    const {pseudoLocaleStrategies, translations} = state.reactIntl;
+    let message = defaultMessage || id;
+
+    if (translations) {
+      message = getTranslatedMessage(id, message, path, state);
+    }
+
+    return pseudoLocaleStrategies
+      ? pseudoLocalize(message, pseudoLocaleStrategies)
+      : message;
+  }
+
+  /**
+   * @desc
+   * Returns the text of a message without arguments, with the ICU escapes
+   * resolved, or `null` when the message has arguments.
+   *
+   * @param message
+   * @returns {string|null}
+   */
+  function getStaticMessage(message) {
+    const {elements} = parseICUMessage(message);
+
+    if (!elements.every((node) => node.type === 'messageTextElement')) {
+      return null;
+    }
+
+    return elements.map((node) => node.value).join('');
+  }
+
+  /**
+   * @desc
+   * Whether a `<FormattedMessage>` element can be replaced by the text of its
+   * message: it has no children, and no props other than the message
+   * descriptor's ones.
+   *
+   * @param path
+   * @param state
+   * @returns {boolean}
+   */
+  function isStaticMessageElement(path, state) {
+    const moduleSourceName = getModuleSourceName(state.opts, DEFAULT_REACT_INTL_SOURCE_NAME);
+    const element = path.parentPath;
+
+    return referencesImport(path.get('name'), moduleSourceName, ['FormattedMessage'], state) &&
+      element.node.children.length === 0 &&
+      path.get('attributes').every((attr) => (
+        attr.isJSXAttribute() &&
+        t.isJSXIdentifier(attr.node.name) &&
+        DESCRIPTOR_PROPS.has(attr.node.name.name)
+      ));
+  }
+
+  function storeMessage({id, description, defaultMessage}, path, state) {
     const {opts, reactIntl} = state;
 
     if (!id) {
@@ -51,13 +546,35 @@ export default function ({ types: t }) {
       );
     }
 
+    // The `id` is used as the source text when no `defaultMessage` is given.
+    defaultMessage = defaultMessage || printMessage(id, path);
+    description = description || null;
+
     if (reactIntl.messages.has(id)) {
       const existing = reactIntl.messages.get(id);
 
-      if (description !== existing.description) {
+      if (description !== existing.description ||
+          defaultMessage !== existing.defaultMessage) {
+
         throw path.buildCodeFrameError(
           `[React Intl] Duplicate message id: "${id}", ` +
-          'but the `description` are different.'
+          'but the `description` and/or `defaultMessage` are different.'
+        );
+      }
+    }
+
+    if (opts.messagesFile) {
+      const conflicting = findConflictingMessage(
+        opts.messagesFile,
+        state.file.opts.filename,
+        {id, description, defaultMessage}
+      );
+
+      if (conflicting) {
+        throw path.buildCodeFrameError(
+          `[React Intl] Duplicate message id: "${id}", also used in ` +
+          `${p.relative(process.cwd(), conflicting.filename)}, ` +
+          'but the `description` and/or `defaultMessage` are different.'
         );
       }
     }
@@ -68,10 +585,95 @@ export default function ({ types: t }) {
       );
     }
 
-    reactIntl.messages.set(id, {id, description});
+    reactIntl.messages.set(id, {id, description, defaultMessage});
+
+    const references = reactIntl.references.get(id) || [];
+    reactIntl.references.set(id, references.concat(createUsage(path, state)));
+  }
+
+  function getComponentName(componentPath, state) {
+    const {componentNames} = state.reactIntl;
+    const {node, parent} = componentPath;
+
+    if (componentNames.has(node)) {
+      return componentNames.get(node);
+    }
+
+    if (node.id) {
+      return node.id.name;
+    }
+
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+      return parent.id.name;
+    }
+
+    return null;
+  }
+
+  /**
+   * @desc
+   * Describes where a message is used: the file, the start and end positions
+   * and the name of the enclosing component, if any.
+   *
+   * @param path
+   * @param state
+   * @returns {{file, start, end, component}}
+   */
+  function createUsage(path, state) {
+    const {loc} = path.node;
+    const component = findEnclosingComponent(path, state);
+
+    return {
+      file: getRelativeFilename(state),
+      start: loc ? {line: loc.start.line, column: loc.start.column} : null,
+      end: loc ? {line: loc.end.line, column: loc.end.column} : null,
+      component: component ? getComponentName(component, state) : null,
+    };
+  }
+
+  function getRelativeFilename(state) {
+    return p.relative(process.cwd(), state.file.opts.filename)
+      .split(p.sep)
+      .join('/');
+  }
+
+  function getSpecifierImportName(specifierPath) {
+    if (specifierPath.isImportDefaultSpecifier()) {
+      return 'default';
+    }
+
+    if (specifierPath.isImportNamespaceSpecifier()) {
+      return '*';
+    }
+
+    return specifierPath.node.imported.name;
+  }
+
+  /**
+   * @desc
+   * Whether the export `importedName` of the module file `sourceFilename` is
+   * re-exported from `importName` of `moduleSource`, e.g. by a barrel file
+   * which does `export {FormattedMessage} from 'react-intl'`.
+   *
+   * @param sourceFilename
+   * @param importedName
+   * @param moduleSource
+   * @param importName
+   * @param findExportOrigins
+   * @returns {boolean}
+   */
+  function isReExportOf(sourceFilename, importedName, moduleSource, importName, findExportOrigins) {
+    if (importedName === '*' || !sourceFilename) {
+      return false;
+    }
+
+    return findExportOrigins(sourceFilename, importedName).some((origin) => (
+      origin.module === moduleSource &&
+      (!importName || origin.importName === importName)
+    ));
   }
 
-  function customReferencesImport(moduleSource, importName, sourcePathNormalizer) {
+  function customReferencesImport(moduleSource, importName, sourcePathNormalizer, findExportOrigins) {
     if (!this.isReferencedIdentifier()) {
       return false;
     }
@@ -97,277 +699,1775 @@ export default function ({ types: t }) {
         return true;
       }
     } else {
-      return false;
+      // Alias names are compared, but the files they point at are followed.
+      return !!findExportOrigins && isReExportOf(
+        sourcePathNormalizer.resolveFile(parent.node.source.value),
+        getSpecifierImportName(path),
+        moduleSource,
+        importName,
+        findExportOrigins
+      );
     }
 
     if (path.isImportDefaultSpecifier() && importName === "default") {
       return true;
     }
 
-    if (path.isImportNamespaceSpecifier() && importName === "*") {
-      return true;
+    if (path.isImportNamespaceSpecifier() && importName === "*") {
+      return true;
+    }
+
+    if (path.isImportSpecifier() && path.node.imported.name === importName) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * @desc
+   * Returns the options of the module resolvers, which turn import sources
+   * into comparable module identities.
+   *
+   * Aliases are read from the `aliases` option, merged over the `alias` option
+   * of `babel-plugin-module-resolver` when it's used in the same Babel config.
+   * When neither is given, the Skybase packages are the aliases.
+   *
+   * For example, with the `skybase-core` alias:
+   * The path ../../../../src/skybase-core/...
+   *
+   * will be resolved to the same module as:
+   * skybase-core/...
+   *
+   * @param state
+   * @returns {Object}
+   */
+  function getResolverOptions(state) {
+    const {file, opts} = state;
+    const moduleResolverOpts = getModuleResolverOptions(file);
+
+    let aliases;
+    if (!opts.aliases && !moduleResolverOpts.alias) {
+      aliases = DEFAULT_ALIASES;
+    } else if (Array.isArray(opts.aliases)) {
+      aliases = opts.aliases;
+    } else {
+      aliases = {...moduleResolverOpts.alias, ...opts.aliases};
+    }
+
+    return {
+      aliases,
+      root: moduleResolverOpts.root,
+      cwd: moduleResolverOpts.cwd === 'babelrc' ? undefined : moduleResolverOpts.cwd,
+    };
+  }
+
+  function referencesImport(path, mod, importedNames, state) {
+    if (!(path.isIdentifier() || path.isJSXIdentifier())) {
+      return false;
+    }
+
+    const {resolveModule, findExportOrigins} = state.reactIntl;
+    const moduleIdentity = resolveModule(mod);
+
+    return importedNames.some((name) => customReferencesImport.apply(path, [
+      moduleIdentity,
+      name,
+      resolveModule,
+      findExportOrigins,
+    ]));
+  }
+
+  function insertInjectIntlImport(path, state) {
+    const {reactIntl} = state;
+
+    if (reactIntl.importSet) {
+      return;
+    }
+
+    path.insertBefore(
+      t.importDeclaration(
+        [
+          t.importSpecifier(
+            t.identifier('injectIntl'), // local
+            t.identifier('injectIntl')  // imported
+          ),
+        ],
+        t.stringLiteral(DEFAULT_REACT_INTL_SOURCE_NAME)
+      )
+    );
+
+    reactIntl.importSet = true;
+  }
+
+  /**
+   * @desc
+   * Returns the local name of `hoist-non-react-statics`, importing it under a
+   * name free in the module when the file doesn't already.
+   *
+   * @param path
+   * @param state
+   * @returns {string}
+   */
+  function getHoistStaticsName(path, state) {
+    const {reactIntl} = state;
+
+    if (reactIntl.hoistStaticsName) {
+      return reactIntl.hoistStaticsName;
+    }
+
+    const program = path.scope.getProgramParent().path;
+    const existingSpecifier = program.node.body
+      .filter((node) => (
+        t.isImportDeclaration(node) && node.source.value === HOIST_STATICS_SOURCE_NAME
+      ))
+      .map((node) => node.specifiers.find((specifier) => t.isImportDefaultSpecifier(specifier)))
+      .find(Boolean);
+
+    if (existingSpecifier) {
+      reactIntl.hoistStaticsName = existingSpecifier.local.name;
+    } else {
+      const local = path.scope.generateUidIdentifier('hoistNonReactStatics');
+      const [importPath] = path.insertBefore(
+        t.importDeclaration(
+          [
+            t.importDefaultSpecifier(local), // local
+          ],
+          t.stringLiteral(HOIST_STATICS_SOURCE_NAME)
+        )
+      );
+
+      program.scope.registerDeclaration(importPath);
+      reactIntl.hoistStaticsName = local.name;
+    }
+
+    return reactIntl.hoistStaticsName;
+  }
+
+  function getStaticMemberNames(classNode) {
+    return classNode.body.body
+      .filter((member) => member.static && !member.computed && t.isIdentifier(member.key))
+      .map((member) => member.key.name)
+      .filter((name) => !REACT_STATICS.has(name));
+  }
+
+  /**
+   * @desc
+   * Builds the `injectIntl(Foo)` call which wraps the component.
+   *
+   * Classes get `{withRef: true}` passed when the `withRef` option is set, and
+   * their non-React statics are copied onto the wrapper. The statics declared
+   * in the class body are copied inline, unless the `hoistNonReactStatics`
+   * option asks for the `hoist-non-react-statics` package to be used, which
+   * also copies statics assigned at runtime.
+   *
+   * @param path
+   * @param name
+   * @param classNode
+   * @param state
+   * @returns {*}
+   */
+  function injectIntlCall(path, name, classNode, state) {
+    const {opts} = state;
+    const args = [
+      t.identifier(name),
+    ];
+
+    if (classNode && opts.withRef) {
+      args.push(
+        t.objectExpression([
+          t.objectProperty(t.identifier('withRef'), t.booleanLiteral(true)),
+        ])
+      );
+    }
+
+    const wrapped = t.callExpression(
+      t.identifier('injectIntl'),
+      args
+    );
+
+    if (opts.hoistNonReactStatics) {
+      return t.callExpression(
+        t.identifier(getHoistStaticsName(path, state)),
+        [
+          wrapped,
+          t.identifier(name),
+        ]
+      );
+    }
+
+    const staticNames = classNode ? getStaticMemberNames(classNode) : [];
+    if (staticNames.length === 0) {
+      return wrapped;
+    }
+
+    // result: Object.assign(injectIntl(_Foo), {bar: _Foo.bar})
+    return t.callExpression(
+      t.memberExpression(t.identifier('Object'), t.identifier('assign')),
+      [
+        wrapped,
+        t.objectExpression(staticNames.map((staticName) => (
+          t.objectProperty(
+            t.identifier(staticName),
+            t.memberExpression(t.identifier(name), t.identifier(staticName))
+          )
+        ))),
+      ]
+    );
+  }
+
+  /**
+   * @desc
+   * Checks the superclass of a class resolves to a React component: the
+   * `Component` or `PureComponent` export of `react`, in any import style, or
+   * one of the in-house base classes listed in `componentBaseClasses` option.
+   * Base classes declared in the same module are followed to their own
+   * superclass.
+   *
+   * @param classPath
+   * @param state
+   * @returns {boolean}
+   */
+  function isComponentClass(classPath, state, visited = new Set()) {
+    const superClass = classPath.get('superClass');
+    if (!superClass.node) {
+      consoleLog('------------ ignored:', 'Has no superclass.');
+      return false;
+    }
+
+    // e.g. class Foo extends React.Component {}
+    if (superClass.isMemberExpression() && !superClass.node.computed) {
+      return includes(REACT_COMPONENT_NAMES, superClass.node.property.name) &&
+        referencesImport(superClass.get('object'), REACT_SOURCE_NAME, ['default', '*'], state);
+    }
+
+    if (!superClass.isIdentifier()) {
+      consoleLog('------------ ignored:', 'Is not extending React.Component');
+      return false;
+    }
+
+    // e.g. class Foo extends Component {}
+    if (referencesImport(superClass, REACT_SOURCE_NAME, REACT_COMPONENT_NAMES, state)) {
+      return true;
+    }
+
+    const baseClasses = state.opts.componentBaseClasses || [];
+    const isBaseClass = baseClasses.some(({moduleSourceName, importName = 'default'}) => (
+      referencesImport(superClass, moduleSourceName, [importName], state)
+    ));
+
+    if (isBaseClass) {
+      return true;
+    }
+
+    // e.g. class Base extends Component {}; class Foo extends Base {}
+    const binding = superClass.scope.getBinding(superClass.node.name);
+    if (binding && binding.path.isClass() && !visited.has(binding.path.node)) {
+      visited.add(binding.path.node);
+      return isComponentClass(binding.path, state, visited);
+    }
+
+    consoleLog('------------ ignored:', 'Is not extending React.Component');
+    return false;
+  }
+
+  function hasNoInjectDirective(path) {
+    const comments = path.node.leadingComments || [];
+    return comments.some(({value}) => value.indexOf(NO_INJECT_DIRECTIVE) >= 0);
+  }
+
+  /**
+   * @desc
+   * Checks the component needs `intl` to be injected, which is the case when
+   * one of the `translate()` calls of its body was rewritten to use
+   * `props.intl`. It's checked once the body is transformed, so calls which
+   * get `formatMessage` passed explicitly, or which are replaced by their
+   * text with the `precompileMessages` option, don't count.
+   *
+   * Components can opt out with a `@noInjectIntl` comment in front of their
+   * export or declaration.
+   *
+   * @param exportPath
+   * @param componentPath
+   * @param state
+   * @returns {boolean}
+   */
+  function shouldInjectIntl(exportPath, componentPath, state) {
+    if (!state.reactIntl.intlComponents.has(componentPath.node)) {
+      consoleLog('------------ ignored:', 'Does not use props.intl.');
+      return false;
+    }
+
+    if (hasNoInjectDirective(exportPath) || hasNoInjectDirective(componentPath)) {
+      consoleLog('------------ ignored:', `Has ${NO_INJECT_DIRECTIVE} directive.`);
+
+      // Its `translate()` calls still rely on `props.intl`, so it has to be
+      // wrapped by hand.
+      const {loc} = componentPath.node;
+      state.file.log.warn(
+        `[React Intl] ${loc ? `Line ${loc.start.line}: ` : ''}` +
+        `\`${state.reactIntl.componentNames.get(componentPath.node)}\` has a ` +
+        `${NO_INJECT_DIRECTIVE} directive but uses \`props.intl\`, it has to ` +
+        'be wrapped with `injectIntl()` manually.'
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @desc
+   * Renames the declaration of a component which gets wrapped, e.g. `Foo` to
+   * `_Foo`, and declares the new name in the scope, so the names generated
+   * afterwards don't collide with it. The references to the component are
+   * left as they are, as the wrapper is declared under its original name.
+   *
+   * @param exportPath
+   * @param bindingPath
+   * @param id
+   * @param newName
+   */
+  function renameComponent(exportPath, bindingPath, id, newName) {
+    const {scope} = exportPath;
+    const {kind} = scope.getOwnBinding(id.name);
+
+    scope.removeOwnBinding(id.name);
+    id.name = newName;
+    scope.registerBinding(kind, bindingPath);
+  }
+
+  /**
+   * @desc
+   * Declares the wrapper of a component, e.g.
+   * `export const Foo = injectIntl(_Foo)`, after its export.
+   *
+   * @param path
+   * @param name
+   * @param wrapper
+   */
+  function insertWrapperExport(path, name, wrapper) {
+    const [wrapperPath] = path.insertAfter(
+      t.exportNamedDeclaration(
+        t.variableDeclaration(
+          'const',  // kind
+          [
+            t.variableDeclarator(
+              t.identifier(name),
+              wrapper
+            ),
+          ]
+        ),    // declaration
+        [],   // specifiers
+        null  // source (StringLiteral)
+      )
+    );
+
+    path.scope.registerDeclaration(wrapperPath);
+  }
+
+  function registerClassComponent(path, state) {
+    const declaration = path.node.declaration;
+    const className = declaration.id.name;
+
+    consoleLog('------ class:', className);
+
+    if (!isComponentClass(path.get('declaration'), state)) {
+      return;
+    }
+
+    const {componentKinds, componentNames} = state.reactIntl;
+    componentKinds.set(declaration, CLASS_TYPES.CLASS);
+    componentNames.set(declaration, className);
+  }
+
+  function processClassComponent(path, state) {
+    const declaration = path.node.declaration;
+    const className = declaration.id.name;
+    const newClassName = '_' + className;
+    const {componentKinds, convertedClassNames} = state.reactIntl;
+
+    if (!componentKinds.has(declaration) ||
+        !shouldInjectIntl(path, path.get('declaration'), state)) {
+      return;
+    }
+
+    if (includes(convertedClassNames, className)) {
+      return;
+    }
+
+    convertedClassNames.push(newClassName);
+    consoleLog('injected:', className);
+
+    renameComponent(path, path.get('declaration'), declaration.id, newClassName);
+
+    insertInjectIntlImport(path, state);
+
+    insertWrapperExport(path, className, injectIntlCall(path, newClassName, declaration, state));
+  }
+
+  function isStatelessComponentFunction(func) {
+    // The function must be an arrow function or a plain function.
+    if (!t.isArrowFunctionExpression(func) && !t.isFunction(func)) {
+      consoleLog('------------ ignored:', 'Is not a function');
+      return false;
+    }
+
+    const { body } = func;
+
+    // Arrow function returning JSX without a block, e.g. const x = () => (<p>hello</p>)
+    if (t.isJSXElement(body)) {
+      return true;
+    }
+
+    if (!t.isBlockStatement(body)) {
+      consoleLog('------------ ignored:', 'has no block statement');
+      return false;
+    }
+
+    const blockBody = body.body;
+    const lastStatement = last(blockBody);
+
+    if (!t.isReturnStatement(lastStatement)) {
+      // @todo Support more returns, e.g. if (1==1) { return (<p>X</p>) } else { return (<p>Y</p>) }
+      consoleLog('------------ ignored:', 'has no return statement at the end.');
+      return false;
+    }
+
+    return t.isJSXElement(lastStatement.argument);
+  }
+
+  function isReactComponent(path) {
+    const declarations = path.node.declaration.declarations;
+    if (!declarations) {
+      return false;
+    }
+
+    const { name } = declarations[0].id;
+    const init = declarations[0].init;
+
+    consoleLog('------ class:', name);
+
+    // If the first letter of function is capital, then we consider it as a react component.
+    // First, check first letter of name is capital.
+    if (name[0] !== name[0].toUpperCase()) {
+      consoleLog('------------ ignored:', 'Is not camelcase');
+      return false;
+    }
+
+    // then, init part must be an arrow function.
+    if (!t.isArrowFunctionExpression(init)) {
+      consoleLog('------------ ignored:', 'Is not arrow function');
+      return false;
+    }
+
+    return isStatelessComponentFunction(init);
+  }
+
+  function registerStatelessComponent(path, state) {
+    if (!isReactComponent(path)) {
+      return;
+    }
+
+    const funcDeclaration = path.node.declaration.declarations[0];
+    const className = funcDeclaration.id.name;
+    const {componentKinds, componentNames, convertedClassNames} = state.reactIntl;
+
+    if (includes(convertedClassNames, className)) {
+      return;
+    }
+
+    componentKinds.set(funcDeclaration.init, CLASS_TYPES.STATELESS_FUNCTION);
+    componentNames.set(funcDeclaration.init, className);
+  }
+
+  function processStatelessComponent(path, state) {
+    const funcDeclaration = path.node.declaration.declarations[0];
+    const className = funcDeclaration.id.name;
+    const newClassName = '_' + className;
+    const {componentKinds, convertedClassNames} = state.reactIntl;
+
+    if (!componentKinds.has(funcDeclaration.init) ||
+        !shouldInjectIntl(path, path.get('declaration.declarations.0.init'), state)) {
+      return;
+    }
+
+    convertedClassNames.push(newClassName);
+    convertedClassNames.push(className);
+
+    renameComponent(path, path.get('declaration.declarations.0'), funcDeclaration.id, newClassName);
+
+    consoleLog('injected:', className);
+
+    insertInjectIntlImport(path, state);
+
+    insertWrapperExport(path, className, injectIntlCall(path, newClassName, null, state));
+  }
+
+  function registerDefaultExportComponent(path, state) {
+    const declaration = path.get('declaration');
+    const { node } = declaration;
+    const { basename } = state.file.opts;
+    const {componentKinds, componentNames} = state.reactIntl;
+
+    if (declaration.isClass()) {
+      if (!isComponentClass(declaration, state)) {
+        return;
+      }
+
+      componentKinds.set(node, CLASS_TYPES.CLASS);
+    } else if (declaration.isFunction()) {
+      if (node.id && node.id.name[0] !== node.id.name[0].toUpperCase()) {
+        consoleLog('------------ ignored:', 'Is not camelcase');
+        return;
+      }
+
+      if (!isStatelessComponentFunction(node)) {
+        return;
+      }
+
+      componentKinds.set(node, CLASS_TYPES.STATELESS_FUNCTION);
+    } else {
+      return;
+    }
+
+    componentNames.set(node, node.id ? node.id.name : basename);
+  }
+
+  /**
+   * @desc
+   * Wraps the default export of a component with `injectIntl`.
+   *
+   * The exported class or function stays declared in the module under its
+   * own name, or a generated one when it's anonymous, so it's still reachable
+   * from the rest of the module. For example:
+   *
+   * export default class Foo extends Component {}
+   *
+   * will be converted into:
+   * class Foo extends Component {}
+   * export default injectIntl(Foo);
+   *
+   * @param path
+   * @param state
+   */
+  function processDefaultExportComponent(path, state) {
+    const declaration = path.get('declaration');
+    const { node } = declaration;
+    const { basename } = state.file.opts;
+    const {componentKinds, convertedClassNames} = state.reactIntl;
+
+    if (!componentKinds.has(node) || !shouldInjectIntl(path, declaration, state)) {
+      return;
+    }
+
+    // Generated names are unique, only the own name of the component may
+    // have been converted already.
+    if (node.id && includes(convertedClassNames, node.id.name)) {
+      return;
+    }
+
+    const id = node.id || path.scope.generateUidIdentifier(
+      basename && basename !== 'index' ? basename : 'component'
+    );
+
+    consoleLog('------ default export:', id.name);
+
+    let localDeclaration;
+    if (declaration.isClassDeclaration() || declaration.isFunctionDeclaration()) {
+      node.id = id;
+      localDeclaration = node;
+    } else {
+      localDeclaration = t.variableDeclaration(
+        'const',  // kind
+        [
+          t.variableDeclarator(id, node),
+        ]
+      );
+    }
+
+    convertedClassNames.push(id.name);
+    consoleLog('injected:', id.name);
+
+    insertInjectIntlImport(path, state);
+
+    t.inheritLeadingComments(localDeclaration, path.node);
+    path.node.leadingComments = null;
+
+    // The component is transformed already, it's only moved out of the export.
+    const [localPath] = path.insertBefore(localDeclaration);
+    localPath.skip();
+
+    path.replaceWith(
+      t.exportDefaultDeclaration(
+        injectIntlCall(path, id.name, declaration.isClass() ? node : null, state)
+      )
+    );
+  }
+
+  /**
+   * @desc
+   * Reads the message descriptor from the arguments of a `translate()` call.
+   *
+   * Both the positional form `translate(id, values, description)` and the
+   * descriptor form `translate({id, defaultMessage, description}, values)`
+   * are supported.
+   *
+   * @param path
+   * @returns {{id, description, defaultMessage}}
+   */
+  function createTranslateDescriptor(path) {
+    const [messageArg, , descriptionArg] = path.get('arguments');
+
+    if (messageArg && messageArg.isObjectExpression()) {
+      return createMessageDescriptor(
+        messageArg.get('properties').map((prop) => [
+          prop.get('key'),
+          prop.get('value'),
+        ]),
+        {allowDynamicId: true}
+      );
+    }
+
+    const id = messageArg ? getStaticString(messageArg) : null;
+
+    return {
+      id,
+      description: descriptionArg ? getStaticString(descriptionArg) : null,
+      dynamicIdPath: messageArg && id === null ? messageArg : null,
+    };
+  }
+
+  /**
+   * @desc
+   * Stores every message descriptor declared in a `defineMessages({...})` call.
+   *
+   * Both the keys of the messages map and the descriptors themselves must be
+   * static, otherwise they can't be extracted at build time.
+   *
+   * @param path
+   * @param state
+   */
+  function processDefineMessages(path, state) {
+    const callee = path.get('callee');
+    const messagesObj = path.get('arguments')[0];
+
+    function assertObjectExpression(objPath) {
+      if (!(objPath && objPath.isObjectExpression())) {
+        throw (objPath || path).buildCodeFrameError(
+          `[React Intl] \`${callee.node.name}()\` must be ` +
+          'called with an object expression with values ' +
+          'that are React Intl Message Descriptors, also ' +
+          'defined as object expressions.'
+        );
+      }
+    }
+
+    function assertStaticProperty(propPath) {
+      if (!propPath.isObjectProperty()) {
+        throw propPath.buildCodeFrameError(
+          '[React Intl] Message Descriptors must be declared as ' +
+          '`key: value` properties, spread and methods are not supported.'
+        );
+      }
+
+      if (propPath.node.computed && !propPath.get('key').evaluate().confident) {
+        throw propPath.get('key').buildCodeFrameError(
+          '[React Intl] Messages must be statically evaluate-able for extraction.'
+        );
+      }
+    }
+
+    assertObjectExpression(messagesObj);
+
+    messagesObj.get('properties').forEach((messageProp) => {
+      assertStaticProperty(messageProp);
+
+      const messageObj = messageProp.get('value');
+      assertObjectExpression(messageObj);
+
+      const properties = messageObj.get('properties');
+      properties.forEach(assertStaticProperty);
+
+      const descriptor = createMessageDescriptor(
+        properties.map((prop) => [
+          prop.get('key'),
+          prop.get('value'),
+        ])
+      );
+
+      // The short ids of `defineMessages()` are based on where the messages
+      // are declared, as they are referenced by their key.
+      const content = [
+        getRelativeFilename(state),
+        getMessageDescriptorKey(messageProp.get('key')),
+      ];
+
+      if (!descriptor.id && state.opts.hashIds) {
+        descriptor.id = hashId(content);
+      }
+
+      storeMessage(descriptor, messageObj, state);
+
+      const outputMessage = getOutputMessage(descriptor, messageObj, state);
+
+      if (outputMessage !== (descriptor.defaultMessage || descriptor.id)) {
+        const defaultMessageProp = properties.find((prop) => (
+          getMessageDescriptorKey(prop.get('key')) === 'defaultMessage'
+        ));
+
+        if (defaultMessageProp) {
+          defaultMessageProp.get('value').replaceWith(t.stringLiteral(outputMessage));
+        } else {
+          messageObj.node.properties.push(
+            t.objectProperty(t.identifier('defaultMessage'), t.stringLiteral(outputMessage))
+          );
+        }
+      }
+
+      if (state.opts.hashIds) {
+        const idProp = properties.find((prop) => (
+          getMessageDescriptorKey(prop.get('key')) === 'id'
+        ));
+        const shortId = t.stringLiteral(getShortId(descriptor.id, content, messageObj, state));
+
+        if (idProp) {
+          idProp.get('value').replaceWith(shortId);
+        } else {
+          messageObj.node.properties.unshift(
+            t.objectProperty(t.identifier('id'), shortId)
+          );
+        }
+      }
+
+      if (state.opts.removeDescriptions) {
+        properties
+          .filter((prop) => getMessageDescriptorKey(prop.get('key')) === 'description')
+          .forEach((prop) => prop.remove());
+      }
+    });
+  }
+
+  /**
+   * @desc
+   * Reads the keys of a `values` object literal, along with their properties.
+   * Returns `null` when the keys can't be known statically, e.g. when the
+   * values are spread or not an object literal at all.
+   *
+   * @param valuesPath
+   * @returns {Map|null}
+   */
+  function getStaticValues(valuesPath) {
+    if (valuesPath && valuesPath.isJSXExpressionContainer()) {
+      valuesPath = valuesPath.get('expression');
+    }
+
+    if (!valuesPath || !valuesPath.isObjectExpression()) {
+      return null;
+    }
+
+    const values = new Map();
+    const isStatic = valuesPath.get('properties').every((prop) => {
+      if (!(prop.isObjectProperty() || prop.isObjectMethod()) || prop.node.computed) {
+        return false;
+      }
+
+      const {key} = prop.node;
+      const name = t.isIdentifier(key) ? key.name : String(key.value);
+      values.set(name, prop);
+
+      return true;
+    });
+
+    return isStatic ? values : null;
+  }
+
+  function isStringLiteral(path) {
+    return path.isStringLiteral() ||
+      (path.isTemplateLiteral() && path.node.expressions.length === 0);
+  }
+
+  /**
+   * @desc
+   * Checks the `values` passed along with a message match the arguments of its
+   * `defaultMessage`: values for all of the arguments, no unused values, and
+   * no obvious strings for `number`, `plural` and `selectordinal` arguments.
+   *
+   * Depending on the `validateValues` option, problems are logged as warnings
+   * (`"warn"`) or fail the build (`"error"`). Messages without an explicit
+   * `defaultMessage` are not checked, since their source text is unknown.
+   *
+   * @param descriptor
+   * @param valuesPath
+   * @param path
+   * @param state
+   */
+  function validateValues(descriptor, valuesPath, path, state) {
+    const {file, opts} = state;
+    const mode = opts.validateValues;
+
+    if (!mode || !descriptor.defaultMessage) {
+      return;
+    }
+
+    const args = collectArguments(parseICUMessage(descriptor.defaultMessage));
+    const values = valuesPath && valuesPath.node ? getStaticValues(valuesPath) : new Map();
+
+    function report(problemPath, message) {
+      if (mode === 'error') {
+        throw problemPath.buildCodeFrameError(
+          `[React Intl] Message "${descriptor.id}": ${message}`
+        );
+      }
+
+      const {loc} = problemPath.node;
+      file.log.warn(
+        `[React Intl] ${loc ? `Line ${loc.start.line}: ` : ''}` +
+        `Message "${descriptor.id}": ${message}`
+      );
+    }
+
+    if (!values) {
+      return;
+    }
+
+    args.forEach(({types}, name) => {
+      const prop = values.get(name);
+
+      if (!prop) {
+        report(valuesPath && valuesPath.node ? valuesPath : path, `missing value for \`{${name}}\`.`);
+        return;
+      }
+
+      const numericType = ['number', 'plural', 'selectordinal']
+        .find((type) => types.has(type));
+
+      if (numericType && prop.isObjectProperty() && isStringLiteral(prop.get('value'))) {
+        report(prop, `\`{${name}}\` is formatted as ${numericType}, but a string is passed.`);
+      }
+    });
+
+    values.forEach((prop, name) => {
+      if (!args.has(name)) {
+        report(prop, `unused value \`${name}\`.`);
+      }
+    });
+  }
+
+  /**
+   * @desc
+   * Creates the value of a message attribute. Messages rewritten by the plugin
+   * are wrapped in an expression container, since JSX strings have no escapes.
+   *
+   * @param message
+   * @param sourceMessage
+   * @returns {Node}
+   */
+  function createJSXMessageValue(message, sourceMessage) {
+    return message === sourceMessage
+      ? t.stringLiteral(message)
+      : t.jSXExpressionContainer(t.stringLiteral(message));
+  }
+
+  function getJSXAttributeById(path, id) {
+    const attributes = path.get('attributes');
+    const attribute = attributes.filter(attr => t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.node.name) && attr.node.name.name === id);
+
+    return attribute ? head(attribute) : null;
+  }
+
+  /**
+   * @desc
+   * Stores the message of a `<FormattedMessage>` or `<FormattedHTMLMessage>`
+   * element, or of one of the `messageComponents`, and rewrites its props
+   * for the output code. `props` names the props holding each part of the
+   * message.
+   *
+   * @param path
+   * @param state
+   * @param props
+   */
+  function processMessageElement(path, state, props = MESSAGE_PROPS) {
+    const {opts} = state;
+    const idAttribute = getJSXAttributeById(path, props.id);
+
+    if (!idAttribute && !opts.hashIds) {
+      // Supported JSX tag without 'id' attribute will be ignored.
+      return;
+    }
+
+    const descriptor = createMessageDescriptor(
+      [...DESCRIPTOR_PROPS]
+        .map((key) => [key, getJSXAttributeById(path, props[key])])
+        .filter(([, attr]) => attr)
+        .map(([key, attr]) => [key, attr.get('value')]),
+      {isJSXSource: true, allowDynamicId: true}
+    );
+
+    // Elements with a dynamic `id` are left as they are.
+    if (descriptor.dynamicIdPath) {
+      storeDynamicMessages(descriptor, state);
+      removeDescriptionAttribute(path, state, props.description);
+      return;
+    }
+
+    if (!idAttribute) {
+      if (!descriptor.defaultMessage) {
+        return;
+      }
+
+      // The `id` of messages given with a `defaultMessage` only is
+      // generated from their content.
+      descriptor.id = hashId(getMessageContent(descriptor));
+    }
+
+    const valuesAttribute = getJSXAttributeById(path, props.values);
+    validateValues(descriptor, valuesAttribute && valuesAttribute.get('value'), path, state);
+
+    storeMessage(descriptor, path, state);
+
+    if (opts.hashIds) {
+      const shortId = getShortId(
+        descriptor.id,
+        getMessageContent(state.reactIntl.messages.get(descriptor.id)),
+        path,
+        state
+      );
+
+      if (idAttribute) {
+        idAttribute.node.value = t.stringLiteral(shortId);
+      } else {
+        path.node.attributes.unshift(
+          t.jSXAttribute(t.jSXIdentifier(props.id), t.stringLiteral(shortId))
+        );
+      }
+    }
+
+    removeDescriptionAttribute(path, state, props.description);
+
+    const defaultMessageAttribute = getJSXAttributeById(path, props.defaultMessage);
+    const outputMessage = getOutputMessage(descriptor, path, state);
+    const staticMessage = opts.precompileMessages && isStaticMessageElement(path, state)
+      ? getStaticMessage(outputMessage)
+      : null;
+
+    if (staticMessage !== null) {
+      const element = path.parentPath;
+
+      element.replaceWith(element.parentPath.isJSXElement()
+        ? t.jSXExpressionContainer(t.stringLiteral(staticMessage))
+        : t.stringLiteral(staticMessage)
+      );
+
+      return;
+    }
+
+    if (!defaultMessageAttribute) {
+      // Adds 'defaultMessage' attribute to JSX tag.
+      path.node.attributes.push(
+        t.jSXAttribute(
+          t.jSXIdentifier(props.defaultMessage),   // name
+          createJSXMessageValue(outputMessage, descriptor.id)   // value
+        )
+      );
+    } else if (outputMessage !== descriptor.defaultMessage) {
+      defaultMessageAttribute.node.value =
+        createJSXMessageValue(outputMessage, descriptor.defaultMessage);
+    }
+  }
+
+  /**
+   * @desc
+   * Returns the local name of `FormattedMessage`, importing it from React Intl
+   * when the file doesn't already.
+   *
+   * @param path
+   * @param state
+   * @returns {string}
+   */
+  function getFormattedMessageName(path, state) {
+    const {opts, reactIntl} = state;
+    const moduleSourceName = getModuleSourceName(opts, DEFAULT_REACT_INTL_SOURCE_NAME);
+
+    if (reactIntl.formattedMessageName) {
+      return reactIntl.formattedMessageName;
+    }
+
+    const binding = path.scope.getBinding('FormattedMessage');
+
+    if (binding && binding.kind === 'module' &&
+        binding.path.isImportSpecifier() &&
+        binding.path.node.imported.name === 'FormattedMessage' &&
+        binding.path.parent.source.value === moduleSourceName) {
+      reactIntl.formattedMessageName = 'FormattedMessage';
+    } else {
+      const program = path.scope.getProgramParent().path;
+      const local = path.scope.generateUidIdentifier('FormattedMessage');
+      const [importPath] = program.unshiftContainer('body',
+        t.importDeclaration(
+          [
+            t.importSpecifier(
+              local,                             // local
+              t.identifier('FormattedMessage')   // imported
+            ),
+          ],
+          t.stringLiteral(moduleSourceName)
+        )
+      );
+
+      program.scope.registerDeclaration(importPath);
+      reactIntl.formattedMessageName = local.name;
+    }
+
+    return reactIntl.formattedMessageName;
+  }
+
+  /**
+   * @desc
+   * Extracts the plural props of a `<FormattedPlural>` element as an ICU
+   * `plural` message, under its `id` prop or an `id` generated from the
+   * message. With the `convertPlurals` option, the element is replaced by
+   * the equivalent `<FormattedMessage>`.
+   *
+   * @param path
+   * @param state
+   */
+  function processPluralElement(path, state) {
+    const {opts} = state;
+    const texts = {};
+    const descriptor = {};
+    const otherAttributes = [];
+    let valueAttribute = null;
+    let ordinal = false;
+
+    path.get('attributes').forEach((attr) => {
+      if (!attr.isJSXAttribute()) {
+        otherAttributes.push(attr.node);
+        return;
+      }
+
+      const key = getMessageDescriptorKey(attr.get('name'));
+
+      if (includes(PLURAL_CATEGORIES, key)) {
+        texts[key] = getMessageDescriptorValue(attr.get('value'));
+      } else if (key === 'id' || key === 'description') {
+        descriptor[key] = getMessageDescriptorValue(attr.get('value')).trim();
+      } else if (key === 'style') {
+        ordinal = getMessageDescriptorValue(attr.get('value')) === 'ordinal';
+      } else if (key === 'value') {
+        valueAttribute = attr;
+      } else {
+        otherAttributes.push(attr.node);
+      }
+    });
+
+    if (!texts.other) {
+      throw path.buildCodeFrameError(
+        '[React Intl] <FormattedPlural> requires an `other` prop for its ' +
+        'message to be extracted.'
+      );
+    }
+
+    descriptor.defaultMessage = createPluralMessage(PLURAL_ARGUMENT_NAME, texts, {ordinal});
+    descriptor.id = descriptor.id || hashId(getMessageContent(descriptor));
+
+    if (!opts.convertPlurals) {
+      storeMessage(descriptor, path, state);
+      removeDescriptionAttribute(path, state);
+      return;
+    }
+
+    if (!valueAttribute || !valueAttribute.node.value) {
+      throw path.buildCodeFrameError(
+        '[React Intl] <FormattedPlural> requires a `value` prop to be ' +
+        'converted to <FormattedMessage>.'
+      );
+    }
+
+    const {value} = valueAttribute.node;
+    const name = t.jSXIdentifier(getFormattedMessageName(path, state));
+    const {closingElement} = path.parent;
+
+    path.node.name = name;
+
+    if (closingElement) {
+      closingElement.name = t.jSXIdentifier(name.name);
+    }
+
+    path.node.attributes = [
+      t.jSXAttribute(t.jSXIdentifier('id'), t.stringLiteral(descriptor.id)),
+    ].concat(descriptor.description ? [
+      t.jSXAttribute(t.jSXIdentifier('description'), t.stringLiteral(descriptor.description)),
+    ] : [], [
+      t.jSXAttribute(
+        t.jSXIdentifier('defaultMessage'),
+        t.jSXExpressionContainer(t.stringLiteral(descriptor.defaultMessage))
+      ),
+      t.jSXAttribute(
+        t.jSXIdentifier('values'),
+        t.jSXExpressionContainer(t.objectExpression([
+          t.objectProperty(
+            t.identifier(PLURAL_ARGUMENT_NAME),
+            t.isJSXExpressionContainer(value) ? value.expression : value
+          ),
+        ]))
+      ),
+    ], otherAttributes);
+
+    processMessageElement(path, state);
+  }
+
+  /**
+   * @desc
+   * Whether a function which isn't exported is a stateless component: it
+   * returns JSX, and is named with a capital letter, e.g.
+   * `const Item = () => <li />`. Inline callbacks returning JSX, e.g. the
+   * ones passed to `items.map()`, aren't components.
+   *
+   * @param funcPath
+   * @returns {boolean}
+   */
+  function isLocalComponentFunction(funcPath) {
+    const {node, parent} = funcPath;
+    const id = node.id || (t.isVariableDeclarator(parent) ? parent.id : null);
+
+    return t.isIdentifier(id) &&
+      id.name[0] === id.name[0].toUpperCase() &&
+      isStatelessComponentFunction(node);
+  }
+
+  /**
+   * @desc
+   * Finds the component enclosing `path`: the closest processed component,
+   * else the closest component class, else the outermost stateless component
+   * function, as nested callbacks belong to the component they are declared
+   * in. Other functions, e.g. helpers, have no `intl` to resolve.
+   *
+   * @param path
+   * @param state
+   * @returns {NodePath|undefined}
+   */
+  function findEnclosingComponent(path, state) {
+    const {componentKinds} = state.reactIntl;
+
+    return path.findParent((parent) => componentKinds.has(parent.node)) ||
+      path.findParent((parent) => parent.isClass() && isComponentClass(parent, state)) ||
+      last(path.getAncestry().filter((parent) => (
+        parent.isFunction() && isLocalComponentFunction(parent)
+      )));
+  }
+
+  /**
+   * @desc
+   * Returns the name a component is declared with, e.g. `Item` for
+   * `const Item = () => <li />`.
+   *
+   * @param componentPath
+   * @returns {string|null}
+   */
+  function getComponentDeclarationName(componentPath) {
+    const {node, parent} = componentPath;
+    const id = node.id || (t.isVariableDeclarator(parent) ? parent.id : null);
+
+    return t.isIdentifier(id) ? id.name : null;
+  }
+
+  function assertNotShadowed(path, name, ownerPath) {
+    if (path.scope.getBinding(name) !== ownerPath.scope.getBinding(name)) {
+      throw path.buildCodeFrameError(
+        `[React Intl] Unable to resolve \`intl\`, \`${name}\` is shadowed ` +
+        'here. Pass `formatMessage` to `translate()` explicitly.'
+      );
+    }
+  }
+
+  function isInstanceMember(memberPath, classPath) {
+    return (memberPath.isClassMethod() || memberPath.isClassProperty()) &&
+      !memberPath.node.static &&
+      memberPath.parentPath.parentPath === classPath;
+  }
+
+  /**
+   * @desc
+   * Resolves `intl` of a class component. Where `this` is the component
+   * instance it's `this.props.intl`, otherwise, e.g. in a nested `function`
+   * callback, `this.props.intl` is stored in a variable at the start of the
+   * enclosing class member.
+   *
+   * @param path
+   * @param classPath
+   * @param state
+   * @returns {*}
+   */
+  function getClassIntl(path, classPath, state) {
+    const {intlSources} = state.reactIntl;
+    const thisIntl = t.memberExpression(
+      t.memberExpression(t.thisExpression(), t.identifier('props')),
+      t.identifier('intl')
+    ); // result: this.props.intl
+
+    const context = path.findParent((parent) => (
+      parent === classPath ||
+      parent.isClassProperty() ||
+      (parent.isFunction() && !parent.isArrowFunctionExpression())
+    ));
+
+    if (isInstanceMember(context, classPath)) {
+      return thisIntl;
+    }
+
+    const member = path.findParent((parent) => isInstanceMember(parent, classPath));
+    const func = member && (member.isClassMethod() ? member : member.get('value'));
+
+    if (!func || !func.isFunction()) {
+      throw path.buildCodeFrameError(
+        '[React Intl] Unable to resolve `intl` outside of the component\'s ' +
+        'instance members. Pass `formatMessage` to `translate()` explicitly.'
+      );
+    }
+
+    if (!intlSources.has(func.node)) {
+      const id = func.scope.generateUidIdentifier('intl');
+
+      func.ensureBlock();
+      const body = func.get('body');
+      const declaration = t.variableDeclaration('const', [
+        t.variableDeclarator(id, thisIntl),
+      ]);
+
+      // `this` can only be used after `super()` in constructors.
+      const superCall = body.get('body').find((statement) => (
+        statement.isExpressionStatement() &&
+        t.isCallExpression(statement.node.expression) &&
+        t.isSuper(statement.node.expression.callee)
+      ));
+
+      if (superCall) {
+        superCall.insertAfter(declaration);
+      } else {
+        body.unshiftContainer('body', declaration);
+      }
+
+      intlSources.set(func.node, id.name);
+    }
+
+    return t.identifier(intlSources.get(func.node));
+  }
+
+  /**
+   * @desc
+   * Resolves `intl` of a stateless component from its first parameter: the
+   * `intl` of a destructuring pattern, which is added when missing, or the
+   * `intl` property of a plain parameter, whatever its name is. Components
+   * without parameters get a `{intl}` one.
+   *
+   * @param path
+   * @param funcPath
+   * @param state
+   * @returns {*}
+   */
+  function getFunctionIntl(path, funcPath, state) {
+    const {intlSources} = state.reactIntl;
+
+    if (intlSources.has(funcPath.node)) {
+      return t.identifier(intlSources.get(funcPath.node));
+    }
+
+    if (funcPath.node.params.length === 0) {
+      funcPath.node.params.push(t.objectPattern([]));
+    }
+
+    let param = funcPath.get('params')[0];
+
+    if (param.isAssignmentPattern()) {
+      param = param.get('left');
+    }
+
+    if (param.isIdentifier()) {
+      const {name} = param.node;
+      assertNotShadowed(path, name, funcPath);
+
+      return t.memberExpression(t.identifier(name), t.identifier('intl'));
+    }
+
+    if (!param.isObjectPattern()) {
+      throw path.buildCodeFrameError(
+        '[React Intl] Unable to resolve `intl` from the component\'s props. ' +
+        'Pass `formatMessage` to `translate()` explicitly.'
+      );
+    }
+
+    const {properties} = param.node;
+    const intlProperty = properties.find((prop) => (
+      t.isObjectProperty(prop) &&
+      !prop.computed &&
+      (t.isIdentifier(prop.key, {name: 'intl'}) || t.isStringLiteral(prop.key, {value: 'intl'}))
+    ));
+
+    if (intlProperty) {
+      const value = t.isAssignmentPattern(intlProperty.value)
+        ? intlProperty.value.left
+        : intlProperty.value;
+
+      if (t.isIdentifier(value)) {
+        assertNotShadowed(path, value.name, funcPath);
+        return t.identifier(value.name);
+      }
+    }
+
+    const name = funcPath.scope.hasBinding('intl')
+      ? funcPath.scope.generateUid('intl')
+      : 'intl';
+
+    const property = t.objectProperty(
+      t.identifier('intl'),
+      t.identifier(name),
+      false,
+      name === 'intl'
+    );
+
+    // The rest element, e.g. {title, ...props}, must stay the last one.
+    const rest = last(properties);
+    if (rest && !t.isObjectProperty(rest)) {
+      properties.splice(properties.length - 1, 0, property);
+    } else {
+      properties.push(property);
+    }
+
+    intlSources.set(funcPath.node, name);
+
+    return t.identifier(name);
+  }
+
+  /**
+   * @desc
+   * Builds the `formatMessage` expression passed to a `translate()` call.
+   *
+   * An `intl` variable in scope is reused, otherwise `intl` is taken from the
+   * props of the enclosing component, which must be one the plugin wraps with
+   * `injectIntl`: an exported class, the first `export const` arrow function
+   * of its declaration, or the default export.
+   *
+   * @param path
+   * @param state
+   * @returns {*}
+   */
+  function getPropVariable(path, state) {
+    const binding = path.scope.getBinding('intl');
+    let intl;
+
+    const component = findEnclosingComponent(path, state);
+    const isWrapped = !!component && state.reactIntl.componentKinds.has(component.node);
+
+    if (binding && binding.kind !== 'module') {
+      intl = t.identifier('intl');
+    } else {
+      const classPath = component ? null : path.findParent((parent) => (
+        parent.isClass() && parent.node.superClass
+      ));
+
+      if (classPath) {
+        throw path.buildCodeFrameError(
+          '[React Intl] `translate()` is called in a class extending ' +
+          `\`${classPath.get('superClass').getSource()}\`, which isn't recognized ` +
+          'as a React component. List the module it\'s imported from in the ' +
+          '`componentBaseClasses` option, or pass `formatMessage` explicitly.'
+        );
+      }
+
+      if (!component) {
+        throw path.buildCodeFrameError(
+          '[React Intl] `translate()` must be called within a component, ' +
+          'or get `formatMessage` passed explicitly.'
+        );
+      }
+
+      if (!isWrapped) {
+        throw path.buildCodeFrameError(
+          `[React Intl] \`translate()\` is called in \`${getComponentDeclarationName(component)}\`, ` +
+          'which isn\'t wrapped with `injectIntl()`, as only exported classes, ' +
+          '`export const` arrow functions and default exports are. Wrap it ' +
+          'manually and pass `formatMessage` explicitly.'
+        );
+      }
+
+      intl = component.isClass()
+        ? getClassIntl(path, component, state)
+        : getFunctionIntl(path, component, state);
+    }
+
+    // The component needs `intl` to be injected.
+    if (isWrapped) {
+      state.reactIntl.intlComponents.add(component.node);
+    }
+
+    // result: intl.formatMessage
+    return t.memberExpression(intl, t.identifier('formatMessage'));
+  }
+
+  function getMemberPropertyName(memberPath) {
+    const {property, computed} = memberPath.node;
+
+    if (!computed && t.isIdentifier(property)) {
+      return property.name;
+    }
+
+    return t.isStringLiteral(property) ? property.value : null;
+  }
+
+  /**
+   * @desc
+   * Finds the `intl` property of an object pattern, e.g. `{intl}` or
+   * `{intl: i18n}`, which binds `name`.
+   *
+   * @param pattern
+   * @param name
+   * @returns {boolean}
+   */
+  function patternBindsIntl(pattern, name) {
+    return pattern.properties.some((prop) => (
+      t.isObjectProperty(prop) &&
+      !prop.computed &&
+      t.isIdentifier(prop.key, {name: 'intl'}) &&
+      t.isIdentifier(prop.value, {name})
+    ));
+  }
+
+  /**
+   * @desc
+   * Whether `path` is the props or the context of a component: `this.props`,
+   * `this.context`, the first parameter of a function, or a variable they
+   * are assigned to.
+   *
+   * @param path
+   * @returns {boolean}
+   */
+  function isPropsObject(path) {
+    if (path.isMemberExpression()) {
+      return path.get('object').isThisExpression() &&
+        includes(['props', 'context'], getMemberPropertyName(path));
+    }
+
+    if (!path.isIdentifier()) {
+      return false;
+    }
+
+    const binding = path.scope.getBinding(path.node.name);
+
+    if (!binding) {
+      return false;
+    }
+
+    if (binding.kind === 'param') {
+      const func = binding.path.getFunctionParent();
+      return !!func && func.node.params[0] === binding.path.node;
+    }
+
+    const declarator = binding.path;
+    return declarator.isVariableDeclarator() &&
+      t.isIdentifier(declarator.node.id) &&
+      !!declarator.node.init &&
+      isPropsObject(declarator.get('init'));
+  }
+
+  /**
+   * @desc
+   * Whether `path` is the `intl` object injected by `injectIntl()`, traced
+   * back to the props or context it's read from, e.g. `this.props.intl`,
+   * `props.intl`, or `intl` destructured from them.
+   *
+   * @param path
+   * @returns {boolean}
+   */
+  function isIntlObject(path) {
+    if (path.isMemberExpression()) {
+      return getMemberPropertyName(path) === 'intl' &&
+        isPropsObject(path.get('object'));
+    }
+
+    if (!path.isIdentifier()) {
+      return false;
+    }
+
+    const {name} = path.node;
+    const binding = path.scope.getBinding(name);
+
+    if (!binding) {
+      return false;
+    }
+
+    // e.g. `function Foo({intl}) {}`
+    if (binding.kind === 'param') {
+      const func = binding.path.getFunctionParent();
+
+      return binding.path.isObjectPattern() &&
+        !!func && func.node.params[0] === binding.path.node &&
+        patternBindsIntl(binding.path.node, name);
+    }
+
+    const declarator = binding.path;
+
+    if (!declarator.isVariableDeclarator() || !declarator.node.init) {
+      return false;
     }
 
-    if (path.isImportSpecifier() && path.node.imported.name === importName) {
-      return true;
+    const init = declarator.get('init');
+
+    // e.g. `const {intl} = this.props;`
+    if (t.isObjectPattern(declarator.node.id)) {
+      return patternBindsIntl(declarator.node.id, name) && isPropsObject(init);
     }
 
-    return false;
+    // e.g. `const intl = this.props.intl;`
+    return isIntlObject(init);
   }
 
   /**
    * @desc
-   * Removes first part of path to make it comparable with relative path.
-   *
-   * For example:
-   * The path ../../../../src/skybase-core/...
-   *
-   * will be converted into:
-   * skybase-core/...
+   * Whether `callee` is `formatMessage` or `formatHTMLMessage` of the
+   * `intl` object.
    *
-   * @param sourcePath
-   * @returns {*}
+   * @param callee
+   * @returns {boolean}
    */
-  function normalizer(sourcePath) {
-    // @todo Load dynamically from .babelrc if possible.
-    const aliases = [
-      'skybase-components',
-      'skybase-core',
-      'skybase-shell',
-      'skybase-styling',
-    ];
-    let result = sourcePath;
-
-    aliases.forEach(alias => {
-      result = result.replace(new RegExp('^.*?' + alias), alias);
-    })
-
-    return result;
+  function isFormatMessageCallee(callee) {
+    return callee.isMemberExpression() &&
+      includes(FORMAT_MESSAGE_NAMES, getMemberPropertyName(callee)) &&
+      isIntlObject(callee.get('object'));
   }
 
-  function referencesImport(path, mod, importedNames) {
-    if (!(path.isIdentifier() || path.isJSXIdentifier())) {
-      return false;
+  /**
+   * @desc
+   * Warns about `formatMessage()` and `formatHTMLMessage()` calls given a
+   * message descriptor on an object which can't be traced back to the `intl`
+   * of a component, e.g. the `intl` parameter of a helper function, as their
+   * message isn't extracted.
+   *
+   * @param path
+   * @param state
+   */
+  function warnUntracedFormatMessageCall(path, state) {
+    const callee = path.get('callee');
+    const [descriptorPath] = path.get('arguments');
+
+    if (!callee.isMemberExpression() ||
+        !includes(FORMAT_MESSAGE_NAMES, getMemberPropertyName(callee)) ||
+        !descriptorPath || !descriptorPath.isObjectExpression()) {
+      return;
     }
 
-    return importedNames.some((name) => customReferencesImport.apply(path, [mod, name, normalizer]));
+    const {loc} = path.node;
+    state.file.log.warn(
+      `[React Intl] ${loc ? `Line ${loc.start.line}: ` : ''}` +
+      `\`${callee.getSource()}()\` isn't called on the \`intl\` of a component, ` +
+      'so its message isn\'t extracted. Declare the message with ' +
+      '`defineMessages()` instead.'
+    );
   }
 
-  function processClassComponent(path, state) {
-    const declaration = path.node.declaration;
+  /**
+   * @desc
+   * Stores the message descriptor passed to `intl.formatMessage()` or
+   * `intl.formatHTMLMessage()`, or to one of the `messageFunctions`, and
+   * rewrites it for the output code the same way as the props of
+   * `<FormattedMessage>`. Descriptors which aren't object literals, e.g. the
+   * ones declared with `defineMessages()`, are extracted where they are
+   * declared.
+   *
+   * @param path
+   * @param state
+   * @param argumentIndexes
+   */
+  function processFormatMessageCall(path, state, argumentIndexes = MESSAGE_ARGUMENTS) {
+    const {opts} = state;
+    const args = path.get('arguments');
+    const descriptorPath = args[argumentIndexes.descriptor];
+    const valuesPath = args[argumentIndexes.values];
 
-    if (!declaration.id) {
-      // @todo Support also 'export default class'..
+    if (!descriptorPath || !descriptorPath.isObjectExpression()) {
       return;
     }
 
-    const className = declaration.id.name;
-    const newClassName = '_' + className;
+    const properties = descriptorPath.get('properties')
+      .filter((prop) => prop.isObjectProperty());
 
-    consoleLog('------ class:', className);
+    const descriptor = createMessageDescriptor(
+      properties.map((prop) => [
+        prop.get('key'),
+        prop.get('value'),
+      ]),
+      {allowDynamicId: true}
+    );
 
-    const { superClass } = declaration;
-    if (!superClass) {
-      consoleLog('------------ ignored:', 'Has no superclass.');
-      return;
-    }
+    const findProperty = (key) => properties.find((prop) => (
+      prop.node && getMessageDescriptorKey(prop.get('key')) === key
+    ));
 
-    // @todo Very naive implementation, handle also extends of React.Component
-    if (t.isIdentifier(superClass) && superClass.name !== 'Component') {
-      consoleLog('------------ ignored:', 'Is not extending React.Component');
-      return;
-    }
+    const setProperty = (key, value) => {
+      const prop = findProperty(key);
 
-    // @todo Very naive implementation, handle also extends of React.Component
-    if (t.isMemberExpression(superClass) && superClass.object.name != 'React' && superClass.property.name != 'Component') {
-      consoleLog('------------ ignored:', 'Is not extending React.Component');
-      return;
+      if (prop) {
+        prop.get('value').replaceWith(value);
+      } else {
+        descriptorPath.node.properties.push(
+          t.objectProperty(t.identifier(key), value)
+        );
+      }
+    };
+
+    if (descriptor.dynamicIdPath) {
+      storeDynamicMessages(descriptor, state);
+    } else {
+      if (!descriptor.id) {
+        if (!opts.hashIds || !descriptor.defaultMessage) {
+          throw descriptorPath.buildCodeFrameError(
+            '[React Intl] Message Descriptors require an `id` attribute.'
+          );
+        }
+
+        descriptor.id = hashId(getMessageContent(descriptor));
+      }
+
+      validateValues(descriptor, valuesPath, path, state);
+      storeMessage(descriptor, descriptorPath, state);
     }
 
-    if (className === 'SbBaseComponent') {
-      // @todo Implement!
-      consoleLog('------------ ignored:', 'Extends SbBaseComponent (not supported yet).');
-      return;
+    if (opts.removeDescriptions && findProperty('description')) {
+      findProperty('description').remove();
     }
 
-    if (includes(convertedClassNames, className)) {
+    if (!descriptor.id) {
       return;
     }
 
-    convertedClassNames.push(newClassName);
-    consoleLog('injected:', className)
-
-    path.node.declaration.id.name = newClassName;
+    const outputMessage = getOutputMessage(descriptor, path, state);
+    const hasValues = valuesPath && !(valuesPath.isObjectExpression() &&
+      valuesPath.node.properties.length === 0);
+    const staticMessage = opts.precompileMessages && !hasValues
+      ? getStaticMessage(outputMessage)
+      : null;
 
-    if (!importSet) {
-      path.insertBefore(
-        t.importDeclaration(
-          [
-            t.importSpecifier(
-              t.identifier('injectIntl'), // local
-              t.identifier('injectIntl')  // imported
-            )
-          ],
-          t.stringLiteral(DEFAULT_REACT_INTL_SOURCE_NAME)
-        )
-      );
+    if (staticMessage !== null) {
+      path.replaceWith(t.stringLiteral(staticMessage));
+      return;
+    }
 
-      importSet = true;
+    if (opts.hashIds) {
+      setProperty('id', t.stringLiteral(getShortId(
+        descriptor.id,
+        getMessageContent(state.reactIntl.messages.get(descriptor.id)),
+        path,
+        state
+      )));
     }
 
-    // @todo Refactor! It's located here twice!
-    path.insertAfter(
-      t.exportNamedDeclaration(
-        t.variableDeclaration(
-          'const',  // kind
-          [
-            t.variableDeclarator(
-              t.identifier(className),
-              t.callExpression(
-                t.identifier('injectIntl'),
-                [
-                  t.identifier(newClassName)
-                ]
-              )
-            )
-          ]
-        ),    // declaration
-        [],   // specifiers
-        null  // source (StringLiteral)
-      )
-    );
+    if (outputMessage !== (descriptor.defaultMessage || descriptor.id)) {
+      setProperty('defaultMessage', t.stringLiteral(outputMessage));
+    }
   }
 
-  function isReactComponent(path) {
-    const declarations = path.node.declaration.declarations;
-    if (!declarations) {
-      return false;
-    }
+  /**
+   * @desc
+   * Stores the message passed as positional arguments to one of the
+   * `messageFunctions`, and rewrites them for the output code the same way
+   * as the props of `<FormattedMessage>`.
+   *
+   * @param path
+   * @param state
+   * @param argumentIndexes
+   */
+  function processMessageFunctionCall(path, state, argumentIndexes) {
+    const {opts} = state;
+    const args = path.get('arguments');
+    const getArgument = (key) => (
+      argumentIndexes.hasOwnProperty(key) ? args[argumentIndexes[key]] : undefined
+    );
 
-    const { name } = declarations[0].id;
-    const init = declarations[0].init;
+    const setArgument = (key, node) => {
+      const index = argumentIndexes[key];
 
-    consoleLog('------ class:', name);
+      // Skipped arguments are passed as `undefined`.
+      while (path.node.arguments.length < index) {
+        path.node.arguments.push(t.identifier('undefined'));
+      }
 
-    // If the first letter of function is capital, then we consider it as a react component.
-    // First, check first letter of name is capital.
-    if (name[0] !== name[0].toUpperCase()) {
-      consoleLog('------------ ignored:', 'Is not camelcase');
-      return false;
-    }
+      path.node.arguments[index] = node;
+    };
 
-    // then, init part must be an arrow function.
-    if (!t.isArrowFunctionExpression(init)) {
-      consoleLog('------------ ignored:', 'Is not arrow function');
-      return false;
-    }
+    const idPath = getArgument('id');
+    const valuesPath = getArgument('values');
 
-    const { body } = init;
-    // @todo support also JSX no-return (arrow) statement, .e.g. const x = () => (<p>hello</p>)
-    if (!t.isBlockStatement(body)) {
-      consoleLog('------------ ignored:', 'has no block statement');
+    if (!idPath) {
       return;
     }
 
-    const blockBody = body.body;
-    const lastStatement = last(blockBody);
+    const descriptor = createMessageDescriptor(
+      [...DESCRIPTOR_PROPS]
+        .map((key) => [key, getArgument(key)])
+        .filter(([, argPath]) => (
+          argPath &&
+          !argPath.isNullLiteral() &&
+          !argPath.isIdentifier({name: 'undefined'})
+        )),
+      {allowDynamicId: true}
+    );
 
-    if (!t.isReturnStatement(lastStatement)) {
-      // @todo Support more returns, e.g. if (1==1) { return (<p>X</p>) } else { return (<p>Y</p>) }
-      consoleLog('------------ ignored:', 'has no return statement at the end.');
-      return false;
+    if (descriptor.dynamicIdPath) {
+      storeDynamicMessages(descriptor, state);
+    } else {
+      validateValues(descriptor, valuesPath, path, state);
+      storeMessage(descriptor, idPath, state);
     }
 
-    return t.isJSXElement(lastStatement.argument);
-  }
+    if (opts.removeDescriptions && getArgument('description')) {
+      setArgument('description', t.nullLiteral());
+    }
 
-  function processStatelessComponent(path, state) {
-    if (!isReactComponent(path)) {
+    if (descriptor.dynamicIdPath) {
       return;
     }
 
-    const funcDeclaration = path.node.declaration.declarations[0];
-    const className = funcDeclaration.id.name;
-    const newClassName = '_' + className;
+    const outputMessage = getOutputMessage(descriptor, path, state);
+    const hasValues = valuesPath && !(valuesPath.isObjectExpression() &&
+      valuesPath.node.properties.length === 0);
+    const staticMessage = opts.precompileMessages && !hasValues
+      ? getStaticMessage(outputMessage)
+      : null;
 
-    if (includes(convertedClassNames, className)) {
+    if (staticMessage !== null) {
+      path.replaceWith(t.stringLiteral(staticMessage));
       return;
     }
 
-    convertedClassNames.push(newClassName);
-    convertedClassNames.push(className);
-
-    funcDeclaration.id.name = newClassName;
-
-    path.replaceWith(
-      t.exportNamedDeclaration(
-        t.variableDeclaration(
-          'const',  // kind
-          [
-            funcDeclaration
-          ]
-        ),    // declaration
-        [],   // specifiers
-        null  // source (StringLiteral)
-      )
-    );
-
-    consoleLog('injected:', className);
-
-    if (!importSet) {
-      path.insertBefore(
-        t.importDeclaration(
-          [
-            t.importSpecifier(
-              t.identifier('injectIntl'), // local
-              t.identifier('injectIntl') // imported
-            )
-          ],
-          t.stringLiteral(DEFAULT_REACT_INTL_SOURCE_NAME)
-        )
-      )
-
-      importSet = true;
+    if (opts.hashIds) {
+      setArgument('id', t.stringLiteral(getShortId(
+        descriptor.id,
+        getMessageContent(state.reactIntl.messages.get(descriptor.id)),
+        path,
+        state
+      )));
     }
 
-    path.insertAfter(
-      t.exportNamedDeclaration(
-        t.variableDeclaration(
-          'const',  // kind
-          [
-            t.variableDeclarator(
-              t.identifier(className),
-              t.callExpression(
-                t.identifier('injectIntl'),
-                [
-                  t.identifier(newClassName)
-                ]
-              )
-            )
-          ]
-        ),    // declaration
-        [],   // specifiers
-        null  // source (StringLiteral)
-      )
-    );
-  }
-
-  function getJSXAttributeById(path, id) {
-    const attributes = path.get('attributes');
-    const attribute = attributes.filter(attr => t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.node.name) && attr.node.name.name === id);
-
-    return attribute ? head(attribute) : null;
+    if (argumentIndexes.hasOwnProperty('defaultMessage') &&
+        outputMessage !== descriptor.defaultMessage) {
+      setArgument('defaultMessage', t.stringLiteral(outputMessage));
+    }
   }
 
-  // @todo Implement some smart detection of props variable.
-  function getPropVariable(path) {
-    const thisProps = t.memberExpression(
-      t.thisExpression(),
-      t.identifier('props.intl.formatMessage'),
-      false
-    ); // result: this.props
-
-    return classType == CLASS_TYPES.CLASS ? thisProps : t.identifier('props.intl.formatMessage');
+  /**
+   * @desc
+   * Finds the entry of the `messageComponents` or `messageFunctions` options
+   * which `path` is imported as.
+   *
+   * @param path
+   * @param entries
+   * @param state
+   * @returns {Object|undefined}
+   */
+  function findMessageImport(path, entries = [], state) {
+    return entries.find(({moduleSourceName, importName = 'default'}) => (
+      referencesImport(path, moduleSourceName, [importName], state)
+    ));
   }
 
   function consoleLog(text) {
@@ -383,23 +2483,94 @@ export default function ({ types: t }) {
         enter(path, state) {
           state.reactIntl = {
             messages: new Map(),
+            // Usages of each message, keyed by its `id`.
+            references: new Map(),
+            importSet: false,
+            // Local name of `hoist-non-react-statics`, once it's imported.
+            hoistStaticsName: null,
+            convertedClassNames: [],
+            // Kind of each processed component, keyed by its class or function node.
+            componentKinds: new Map(),
+            componentNames: new Map(),
+            // Name of the variable holding `intl`, keyed by the function node
+            // it was added to.
+            intlSources: new Map(),
+            // Component nodes whose `translate()` calls use `props.intl`.
+            intlComponents: new Set(),
+            // Short id of each message, keyed by its original `id`.
+            shortIds: new Map(),
           };
 
-          const { opts } = state;
-
-          importSet = false;
-          convertedClassNames = [];
+          const resolverOptions = getResolverOptions(state);
+
+          state.reactIntl.resolveModule = createModuleResolver(state.file.opts.filename, resolverOptions);
+          // Follows barrel files which re-export React Intl or the helpers.
+          state.reactIntl.findExportOrigins = createExportsFollower(resolverOptions);
+          state.reactIntl.pseudoLocaleStrategies = state.opts.pseudoLocale
+            ? getPseudoLocaleStrategies(state.opts.pseudoLocale)
+            : null;
+          state.reactIntl.translations = state.opts.translationsFile
+            ? loadTranslations(state.opts.translationsFile)
+            : null;
         },
 
         exit(path, state) {
           const {file, opts, reactIntl} = state;
           const {basename, filename} = file.opts;
-          const descriptors = [...reactIntl.messages.values()];
+          let descriptors = [...reactIntl.messages.values()];
+
+          if (opts.extractSourceLocation) {
+            descriptors = descriptors.map((descriptor) => ({
+              ...descriptor,
+              usages: reactIntl.references.get(descriptor.id),
+            }));
+          }
 
           file.metadata['react-intl'] = {messages: descriptors};
 
-          if (!opts.messagesDir) {
-            return;
+          const formatter = getFormatter(opts.messagesFormat);
+
+          if (opts.locales && !opts.messagesFile) {
+            throw new Error(
+              '[React Intl] Syncing `locales` requires the `messagesFile` option, ' +
+              'as it needs the messages of the whole build.'
+            );
+          }
+
+          if (opts.idMappingFile && !opts.hashIds) {
+            throw new Error(
+              '[React Intl] Writing the `idMappingFile` requires the `hashIds` option.'
+            );
+          }
+
+          if (opts.idMappingFile && !opts.messagesFile) {
+            throw new Error(
+              '[React Intl] Writing the `idMappingFile` requires the `messagesFile` ' +
+              'option, as it needs the messages of the whole build.'
+            );
+          }
+
+          // Generated ids are already short, and have no original id.
+          const shortIds = new Map(
+            [...reactIntl.shortIds].filter(([id, shortId]) => id !== shortId)
+          );
+
+          if (opts.idMappingFile) {
+            updateIdMapping(opts.idMappingFile, filename, shortIds);
+          }
+
+          if (opts.messagesFile) {
+            updateCatalog(opts.messagesFile, filename, descriptors, {
+              references: reactIntl.references,
+              shortIds: opts.idMappingFile ? shortIds : new Map(),
+              catalogOptions: {
+                messagesFormat: opts.messagesFormat,
+                sourceLocale: opts.sourceLocale || DEFAULT_SOURCE_LOCALE,
+                locales: opts.locales || null,
+                localesDir: opts.localesDir || DEFAULT_LOCALES_DIR,
+                idMappingFile: opts.idMappingFile || null,
+              },
+            });
           }
 
           if (opts.messagesDir && descriptors.length > 0) {
@@ -413,34 +2584,14 @@ export default function ({ types: t }) {
             const messagesFilename = p.join(
               opts.messagesDir,
               p.dirname(relativePath),
-              basename + '.json'
+              basename + formatter.extension
             );
 
-            const normalizedMessages = descriptors
-              .map(message => {
-                if (message.description == null) {
-                  delete message['description'];
-                }
-
-                return message;
-              })
-              // Sort message alphabetically by 'id' attribute.
-              .sort((a, b) => {
-                a = a.id.toLowerCase();
-                b = b.id.toLowerCase();
-
-                if (a > b) {
-                  return 1;
-                }
-                else if (a < b) {
-                  return -1;
-                }
-                else {
-                  return 0;
-                }
-              });
-
-            let messagesFile = JSON.stringify(normalizedMessages, null, 2);
+            let messagesFile = formatter.format(normalizeMessages(descriptors), {
+              sourceLocale: opts.sourceLocale || DEFAULT_SOURCE_LOCALE,
+              filename: getRelativeFilename(state),
+              references: reactIntl.references,
+            });
 
             mkdirpSync(p.dirname(messagesFilename));
             writeFileSync(messagesFilename, messagesFile);
@@ -451,20 +2602,39 @@ export default function ({ types: t }) {
       ImportDeclaration(path, state) {
       },
 
-      ExportDeclaration(path, state) {
-        // @todo Implement!
+      // Components are recognized before their body is transformed, and
+      // wrapped with `injectIntl` afterwards, once it's known whether they
+      // use `props.intl`.
+      ExportDefaultDeclaration: {
+        enter(path, state) {
+          registerDefaultExportComponent(path, state);
+        },
+
+        exit(path, state) {
+          processDefaultExportComponent(path, state);
+        },
       },
 
-      ExportNamedDeclaration(path, state) {
-        const declaration = path.node.declaration;
+      ExportNamedDeclaration: {
+        enter(path, state) {
+          const declaration = path.node.declaration;
 
-        if (t.isClassDeclaration(declaration)) {
-          classType = CLASS_TYPES.CLASS;
-          processClassComponent(path, state);
-        } else if (t.isVariableDeclaration(declaration)) {
-          classType = CLASS_TYPES.STATELESS_FUNCTION;
-          processStatelessComponent(path, state);
-        }
+          if (t.isClassDeclaration(declaration)) {
+            registerClassComponent(path, state);
+          } else if (t.isVariableDeclaration(declaration)) {
+            registerStatelessComponent(path, state);
+          }
+        },
+
+        exit(path, state) {
+          const declaration = path.node.declaration;
+
+          if (t.isClassDeclaration(declaration)) {
+            processClassComponent(path, state);
+          } else if (t.isVariableDeclaration(declaration)) {
+            processStatelessComponent(path, state);
+          }
+        },
       },
 
       JSXOpeningElement(path, state) {
@@ -472,7 +2642,12 @@ export default function ({ types: t }) {
         const moduleSourceName = getModuleSourceName(opts, DEFAULT_REACT_INTL_SOURCE_NAME);
         const name = path.get('name');
 
-        if (name.referencesImport(moduleSourceName, 'FormattedPlural')) {
+        if (referencesImport(name, moduleSourceName, ['FormattedPlural'], state)) {
+          if (opts.extractPlurals || opts.convertPlurals) {
+            processPluralElement(path, state);
+            return;
+          }
+
           file.log.warn(
             `[React Intl] Line ${path.node.loc.start.line}: ` +
             'Default messages are not extracted from ' +
@@ -482,29 +2657,15 @@ export default function ({ types: t }) {
           return;
         }
 
-        if (referencesImport(name, moduleSourceName, COMPONENT_NAMES)) {
-          let attributes = path.get('attributes');
-          const idAttribute = getJSXAttributeById(path, 'id');
-          const descriptionAttribute = getJSXAttributeById(path, 'description');
-
-          if (!idAttribute) {
-            // Supported JSX tag without 'id' attribute will be ignored.
-            return;
-          }
-
-          // Adds 'defaultMessage' attribute to JSX tag.
-          path.node.attributes.push(
-            t.jSXAttribute(
-              t.jSXIdentifier('defaultMessage'),   // name
-              t.stringLiteral(idAttribute.node.value.value)   // value
-            )
-          )
+        if (referencesImport(name, moduleSourceName, COMPONENT_NAMES, state)) {
+          processMessageElement(path, state);
+          return;
+        }
 
-          const id = idAttribute.node.value.value;
-          const description = descriptionAttribute ? descriptionAttribute.node.value.value : null;
+        const component = findMessageImport(name, opts.messageComponents, state);
 
-          // @todo Validate.
-          storeMessage({id, description}, path, state);
+        if (component) {
+          processMessageElement(path, state, {...MESSAGE_PROPS, ...component.props});
         }
       },
 
@@ -512,9 +2673,96 @@ export default function ({ types: t }) {
         let moduleSourceName = getModuleSourceName(state.opts);
         const callee = path.get('callee');
 
-        if (referencesImport(callee, moduleSourceName, FUNCTION_NAMES)) {
+        if (referencesImport(callee, getModuleSourceName(state.opts, DEFAULT_REACT_INTL_SOURCE_NAME), DEFINE_MESSAGES_NAMES, state)) {
+          processDefineMessages(path, state);
+          return;
+        }
+
+        if (isFormatMessageCallee(callee)) {
+          processFormatMessageCall(path, state);
+          return;
+        }
+
+        warnUntracedFormatMessageCall(path, state);
+
+        const messageFunction = findMessageImport(callee, state.opts.messageFunctions, state);
+
+        if (messageFunction) {
+          const argumentIndexes = messageFunction.arguments || MESSAGE_ARGUMENTS;
+
+          if (argumentIndexes.hasOwnProperty('descriptor')) {
+            processFormatMessageCall(path, state, argumentIndexes);
+          } else {
+            processMessageFunctionCall(path, state, argumentIndexes);
+          }
+
+          return;
+        }
+
+        if (referencesImport(callee, moduleSourceName, FUNCTION_NAMES, state)) {
+          const descriptor = createTranslateDescriptor(path);
           const args = path.node.arguments;
 
+          if (!descriptor.id && !descriptor.dynamicIdPath &&
+              descriptor.defaultMessage && state.opts.hashIds) {
+            descriptor.id = hashId(getMessageContent(descriptor));
+          }
+
+          const valuesPath = path.get('arguments')[1];
+          validateValues(descriptor, valuesPath, path, state);
+
+          if (descriptor.id) {
+            storeMessage(descriptor, path.get('arguments')[0], state);
+          } else if (descriptor.dynamicIdPath) {
+            storeDynamicMessages(descriptor, state);
+          }
+
+          const outputMessage = descriptor.id
+            ? getOutputMessage(descriptor, path, state)
+            : null;
+
+          // Messages without arguments, called without `values`, are
+          // replaced by their text.
+          if (state.opts.precompileMessages && outputMessage !== null &&
+              (!valuesPath || (valuesPath.isObjectExpression() &&
+                valuesPath.node.properties.length === 0))) {
+            const staticMessage = getStaticMessage(outputMessage);
+
+            if (staticMessage !== null) {
+              path.replaceWith(t.stringLiteral(staticMessage));
+              return;
+            }
+          }
+
+          // Flattens the `translate({id, defaultMessage, description}, values)`
+          // form into the positional arguments expected at runtime.
+          if (t.isObjectExpression(args[0])) {
+            args.splice(0, 1, descriptor.dynamicIdPath
+              ? descriptor.dynamicIdPath.node
+              : t.stringLiteral(descriptor.id)
+            );
+
+            if (args.length < 2) {
+              args.push(t.objectExpression([]));
+            }
+
+            args.splice(2, 0, descriptor.description
+              ? t.stringLiteral(descriptor.description)
+              : t.nullLiteral()
+            );
+          }
+
+          if (state.opts.hashIds && descriptor.id) {
+            const shortId = getShortId(
+              descriptor.id,
+              getMessageContent(state.reactIntl.messages.get(descriptor.id)),
+              path,
+              state
+            );
+
+            args.splice(0, 1, t.stringLiteral(shortId));
+          }
+
           // Automatically completes missing parameters.
           if (args.length < 2) {
             path.node.arguments.push(
@@ -528,9 +2776,23 @@ export default function ({ types: t }) {
             );
           }
 
+          // The description is only needed for extraction, but its argument
+          // is kept, as `null`, so the following ones keep their position.
+          if (state.opts.removeDescriptions) {
+            args.splice(2, 1, t.nullLiteral());
+          }
+
           if (args.length < 4) {
             path.node.arguments.push(
-              getPropVariable(path)
+              getPropVariable(path, state)
+            );
+          }
+
+          // Messages with a dynamic id are only rewritten when their
+          // `defaultMessage` is given, as the id isn't known.
+          if (args.length < 5 && (outputMessage || descriptor.defaultMessage)) {
+            path.node.arguments.push(
+              t.stringLiteral(outputMessage || descriptor.defaultMessage)
             );
           }
 
@@ -542,18 +2804,10 @@ export default function ({ types: t }) {
                 false                       // computed
               ), // callee
               [
-                t.thisExpression()
+                t.thisExpression(),
               ].concat(args)
             )
           );
-
-          const id = args[0].value;
-          const description = !t.isNullLiteral(args[2]) ? args[2].value : null;
-
-          // @todo Add validations.
-          if (id) {
-            storeMessage({id, description}, path, state);
-          }
         }
       },
     },
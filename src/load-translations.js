@@ -0,0 +1,50 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {readFileSync, statSync} from 'fs';
+
+// The translations are read once per build, and again when the file changes,
+// e.g. in watch mode.
+const cache = new Map();
+
+function getTranslation(entry) {
+    if (typeof entry === 'string') {
+        return entry;
+    }
+
+    return (entry && entry.translation) || '';
+}
+
+/**
+ * Reads the translations of a locale file into a map of message ids to their
+ * translation. Both the locale files written when syncing `locales`, and flat
+ * `{"id": "translation"}` files are supported. Messages with an empty
+ * translation are left out.
+ */
+export default function loadTranslations(filename) {
+    const key = p.resolve(filename);
+    const {mtime} = statSync(key);
+    const cached = cache.get(key);
+
+    if (cached && cached.mtime.getTime() === mtime.getTime()) {
+        return cached.translations;
+    }
+
+    const localeMessages = JSON.parse(readFileSync(key, 'utf8'));
+    const translations = new Map();
+
+    Object.keys(localeMessages).forEach((id) => {
+        const translation = getTranslation(localeMessages[id]);
+
+        if (translation) {
+            translations.set(id, translation);
+        }
+    });
+
+    cache.set(key, {mtime, translations});
+    return translations;
+}
@@ -0,0 +1,321 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {
+    existsSync,
+    readdirSync,
+    readFileSync,
+    statSync,
+    unlinkSync,
+    writeFileSync,
+} from 'fs';
+import {sync as mkdirpSync} from 'mkdirp';
+import compareIds from './compare-ids';
+import getFormatter from './formatters';
+import {writeIdMapping} from './id-mapping';
+import syncLocales from './sync-locales';
+
+const OPTIONS_FILENAME = 'options.json';
+const FILES_DIRNAME = 'files';
+
+// Registry of the messages extracted by this process, used to tell conflicting
+// messages of other source files early. It maps each catalog file to the
+// messages of every source file written into it, so a source file which is
+// transformed again, e.g. in watch mode, replaces its previous messages.
+// Builds can be split across processes, so the catalog itself is only written
+// from the fragments by `mergeCatalog()`.
+const catalogs = new Map();
+
+function getCatalog(catalogFilename) {
+    const key = p.resolve(catalogFilename);
+
+    if (!catalogs.has(key)) {
+        catalogs.set(key, {
+            files: new Map(),
+            options: null,
+        });
+    }
+
+    return catalogs.get(key);
+}
+
+/**
+ * Returns the directory of the fragments of a catalog, which holds the options
+ * of the catalog and a fragment per source file with the messages extracted
+ * from it.
+ */
+export function getFragmentsDir(catalogFilename) {
+    return p.resolve(catalogFilename) + '.fragments';
+}
+
+function getFragmentFilename(fragmentsDir, file) {
+    // Make sure the relative path is "absolute" before joining it with the
+    // fragments directory.
+    return p.join(fragmentsDir, FILES_DIRNAME, p.join(p.sep, file) + '.json');
+}
+
+function writeJSON(filename, data) {
+    mkdirpSync(p.dirname(filename));
+    writeFileSync(filename, JSON.stringify(data, null, 2));
+}
+
+function mapToObject(map) {
+    return [...map.keys()].reduce((hash, key) => {
+        hash[key] = map.get(key);
+        return hash;
+    }, {});
+}
+
+function objectToMap(hash) {
+    return new Map(Object.keys(hash).map((key) => [key, hash[key]]));
+}
+
+/**
+ * Drops empty descriptions and sorts the messages alphabetically by `id`.
+ */
+export function normalizeMessages(descriptors) {
+    return descriptors
+        .map((descriptor) => {
+            const message = {...descriptor};
+
+            if (message.description === null || message.description === undefined) {
+                delete message.description;
+            }
+
+            return message;
+        })
+        .sort((a, b) => compareIds(a.id, b.id));
+}
+
+/**
+ * Finds a message with the same `id` extracted from another source file, but
+ * with a different `description` or `defaultMessage`.
+ */
+export function findConflictingMessage(catalogFilename, sourceFilename, {id, description, defaultMessage}) {
+    const {files} = getCatalog(catalogFilename);
+
+    for (let [filename, {messages}] of files) {
+        if (filename === sourceFilename) {
+            continue;
+        }
+
+        const existing = messages.find((message) => message.id === id);
+
+        if (existing && (
+            existing.description !== description ||
+            existing.defaultMessage !== defaultMessage
+        )) {
+            return {...existing, filename};
+        }
+    }
+
+    return null;
+}
+
+function findConflict(files) {
+    const messages = new Map();
+
+    for (let [filename, {messages: fileMessages}] of files) {
+        for (let message of fileMessages) {
+            const existing = messages.get(message.id);
+
+            if (existing && (
+                existing.description !== message.description ||
+                existing.defaultMessage !== message.defaultMessage
+            )) {
+                return {id: message.id, filenames: [existing.filename, filename]};
+            }
+
+            if (!existing) {
+                messages.set(message.id, {...message, filename});
+            }
+        }
+    }
+
+    return null;
+}
+
+function getCatalogMessages({files}) {
+    const messages = new Map();
+
+    for (let {messages: fileMessages} of files.values()) {
+        fileMessages.forEach((descriptor) => {
+            const existing = messages.get(descriptor.id);
+
+            // Keeps the usages of a message from all of the files.
+            if (existing && existing.usages && descriptor.usages) {
+                descriptor = {
+                    ...descriptor,
+                    usages: existing.usages.concat(descriptor.usages),
+                };
+            }
+
+            messages.set(descriptor.id, descriptor);
+        });
+    }
+
+    return normalizeMessages([...messages.values()]);
+}
+
+function getCatalogReferences({files}) {
+    const references = new Map();
+
+    for (let {references: fileReferences} of files.values()) {
+        fileReferences.forEach((locations, id) => {
+            references.set(id, (references.get(id) || []).concat(locations));
+        });
+    }
+
+    return references;
+}
+
+function findFragmentFilenames(dirname) {
+    if (!existsSync(dirname)) {
+        return [];
+    }
+
+    return readdirSync(dirname)
+        .sort()
+        .reduce((filenames, name) => {
+            const filename = p.join(dirname, name);
+
+            return filenames.concat(statSync(filename).isDirectory()
+                ? findFragmentFilenames(filename)
+                : [filename]);
+        }, []);
+}
+
+/**
+ * Reads the fragments of a catalog, in the order of their paths, as a map of
+ * the source files to their `{messages, references, shortIds}`. Fragments of
+ * source files which don't exist anymore are left out.
+ */
+function readFragments(fragmentsDir) {
+    const files = new Map();
+
+    findFragmentFilenames(p.join(fragmentsDir, FILES_DIRNAME)).forEach((filename) => {
+        const {file, messages, references, shortIds} = JSON.parse(readFileSync(filename, 'utf8'));
+
+        if (existsSync(p.resolve(file))) {
+            files.set(file, {
+                messages,
+                references: objectToMap(references),
+                shortIds: objectToMap(shortIds || {}),
+            });
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Replaces the messages of `sourceFilename` in the catalog, and writes them to
+ * its fragment, which `mergeCatalog()` reads. Source files without messages
+ * have their fragment removed.
+ *
+ * The `options` hold the `references` of the messages, which map each `id` to
+ * its `{file, start, end, component}` usages, the `shortIds` of the messages
+ * with the `hashIds` option, and the `catalogOptions` the catalog is merged
+ * with: its `messagesFormat` and `sourceLocale`, the `locales` and
+ * `localesDir` of the locale files to sync, and the `idMappingFile`, if any.
+ */
+export function updateCatalog(catalogFilename, sourceFilename, descriptors, options) {
+    const {references, shortIds, catalogOptions} = options;
+    const catalog = getCatalog(catalogFilename);
+    const fragmentsDir = getFragmentsDir(catalogFilename);
+    const file = p.relative(process.cwd(), sourceFilename);
+    const fragmentFilename = getFragmentFilename(fragmentsDir, file);
+
+    catalog.files.set(sourceFilename, {messages: descriptors, references});
+
+    const serializedOptions = JSON.stringify(catalogOptions, null, 2);
+    if (catalog.options !== serializedOptions) {
+        catalog.options = serializedOptions;
+        mkdirpSync(fragmentsDir);
+        writeFileSync(p.join(fragmentsDir, OPTIONS_FILENAME), serializedOptions);
+    }
+
+    if (descriptors.length > 0) {
+        writeJSON(fragmentFilename, {
+            file,
+            messages: descriptors,
+            references: mapToObject(references),
+            shortIds: mapToObject(shortIds),
+        });
+    } else if (existsSync(fragmentFilename)) {
+        unlinkSync(fragmentFilename);
+    }
+}
+
+/**
+ * Writes the catalog from the fragments written by the plugin, once the whole
+ * build is transformed, whether by one process or several. The fragments are
+ * merged in the order of their paths, so the catalog doesn't depend on the
+ * order the files were transformed in. When the catalog has `locales`, their
+ * files are synced with it, and its `idMappingFile` is written as well.
+ *
+ * Messages which aren't extracted anymore are marked obsolete in the locale
+ * files. They're only removed with the `removeObsolete` option, which the
+ * caller sets when the fragments cover the whole app, as translations can't
+ * be told apart from those of files left out of the build.
+ *
+ * Relative paths are resolved against the current directory, which must be
+ * the one the build runs in. Messages with the same `id` but a different
+ * `description` or `defaultMessage` in several files fail the merge.
+ *
+ * Returns the messages of the catalog.
+ */
+export function mergeCatalog(catalogFilename, mergeOptions = {}) {
+    const {removeObsolete = false} = mergeOptions;
+    const fragmentsDir = getFragmentsDir(catalogFilename);
+    const optionsFilename = p.join(fragmentsDir, OPTIONS_FILENAME);
+
+    if (!existsSync(optionsFilename)) {
+        throw new Error(
+            `[React Intl] No messages were extracted for "${catalogFilename}", ` +
+            'the build must run with the `messagesFile` option first.'
+        );
+    }
+
+    const options = JSON.parse(readFileSync(optionsFilename, 'utf8'));
+    const catalog = {files: readFragments(fragmentsDir)};
+    const conflict = findConflict(catalog.files);
+
+    if (conflict) {
+        throw new Error(
+            `[React Intl] Duplicate message id: "${conflict.id}", used in ` +
+            `${conflict.filenames.join(' and ')}, but the \`description\` ` +
+            'and/or `defaultMessage` are different.'
+        );
+    }
+
+    const {format, extension} = getFormatter(options.messagesFormat);
+    const messages = getCatalogMessages(catalog);
+
+    mkdirpSync(p.dirname(catalogFilename));
+    writeFileSync(catalogFilename, format(messages, {
+        sourceLocale: options.sourceLocale,
+        filename: p.basename(catalogFilename, extension),
+        references: getCatalogReferences(catalog),
+    }));
+
+    if (options.locales) {
+        syncLocales(messages, {
+            localesDir: options.localesDir,
+            locales: options.locales,
+            removeObsolete,
+        });
+    }
+
+    if (options.idMappingFile) {
+        writeIdMapping(options.idMappingFile, new Map(
+            [...catalog.files].map(([file, {shortIds}]) => [file, shortIds])
+        ));
+    }
+
+    return messages;
+}
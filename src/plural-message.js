@@ -0,0 +1,54 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {printICUMessage} from './print-icu-message';
+
+// The plural categories of CLDR, in the order they are printed.
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// `#` stands for the formatted number in the options of a `plural` argument,
+// while the plural props of `<FormattedPlural>` are rendered as they are.
+function escapeHash(text) {
+    return text.replace(/#/g, '\\#');
+}
+
+/**
+ * Creates the ICU `plural` message equivalent to the plural props of a
+ * `<FormattedPlural>` element, e.g. `{count, plural, one {item} other {items}}`
+ * for `{one: 'item', other: 'items'}`, or a `selectordinal` message when the
+ * `ordinal` option is set.
+ */
+export default function createPluralMessage(argumentName, texts, options = {}) {
+    const {ordinal = false} = options;
+
+    const pluralOptions = PLURAL_CATEGORIES
+        .filter((category) => texts.hasOwnProperty(category))
+        .map((category) => ({
+            type    : 'optionalFormatPattern',
+            selector: category,
+            value   : {
+                type    : 'messageFormatPattern',
+                elements: [{
+                    type : 'messageTextElement',
+                    value: escapeHash(texts[category]),
+                }],
+            },
+        }));
+
+    return printICUMessage({
+        type    : 'messageFormatPattern',
+        elements: [{
+            type  : 'argumentElement',
+            id    : argumentName,
+            format: {
+                type   : 'pluralFormat',
+                ordinal,
+                offset : 0,
+                options: pluralOptions,
+            },
+        }],
+    });
+}
@@ -20,7 +20,7 @@ export default function (message) {
     return printICUMessage(ast);
 }
 
-function printICUMessage(ast) {
+export function printICUMessage(ast) {
     let printedNodes = ast.elements.map((node) => {
         if (node.type === 'messageTextElement') {
             return printMessageTextASTNode(node);
@@ -46,7 +46,7 @@ function printICUMessage(ast) {
     return printedNodes.join('');
 }
 
-function getArgumentType(format) {
+export function getArgumentType(format) {
     const {type, ordinal} = format;
 
     // Special-case ordinal plurals to use `selectordinal` instead of `plural`.
@@ -0,0 +1,134 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {parse} from 'intl-messageformat-parser';
+import {printICUMessage} from './print-icu-message';
+
+const ACCENTED_CHARS = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í',
+    j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ', n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ',
+    s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í',
+    J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ', N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ',
+    S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+const ACCENTED_CHARS_REGEXP = /[a-zA-Z]/g;
+
+// Translations are often about a third longer than their English source.
+const PADDING_RATIO = 0.3;
+const PADDING_CHAR = '~';
+
+const RTL_OVERRIDE = '\u202E';
+const POP_DIRECTIONAL_FORMATTING = '\u202C';
+
+export const STRATEGIES = ['accented', 'padded', 'bracketed', 'rtl'];
+
+const DEFAULT_STRATEGIES = ['accented', 'padded', 'bracketed'];
+
+function textElement(value) {
+    return {type: 'messageTextElement', value};
+}
+
+// Calls `transform` with the value of every text element of the message,
+// including the ones nested in the options of `plural` and `select` arguments.
+function mapTextElements(ast, transform) {
+    const elements = ast.elements.map((node) => {
+        if (node.type === 'messageTextElement') {
+            return {...node, value: transform(node.value)};
+        }
+
+        if (!node.format || !node.format.options) {
+            return node;
+        }
+
+        const options = node.format.options.map((option) => ({
+            ...option,
+            value: mapTextElements(option.value, transform),
+        }));
+
+        return {...node, format: {...node.format, options}};
+    });
+
+    return {...ast, elements};
+}
+
+function getTextLength(ast) {
+    return ast.elements.reduce((length, node) => (
+        node.type === 'messageTextElement' ? length + node.value.length : length
+    ), 0);
+}
+
+function wrap(ast, before, after) {
+    return {
+        ...ast,
+        elements: [textElement(before)].concat(ast.elements, textElement(after)),
+    };
+}
+
+const transforms = {
+    accented(ast) {
+        return mapTextElements(ast, (value) => (
+            value.replace(ACCENTED_CHARS_REGEXP, (char) => ACCENTED_CHARS[char])
+        ));
+    },
+
+    padded(ast) {
+        const padding = Math.ceil(getTextLength(ast) * PADDING_RATIO);
+        return wrap(ast, '', PADDING_CHAR.repeat(padding));
+    },
+
+    bracketed(ast) {
+        return wrap(ast, '[', ']');
+    },
+
+    rtl(ast) {
+        return wrap(ast, RTL_OVERRIDE, POP_DIRECTIONAL_FORMATTING);
+    },
+};
+
+/**
+ * Normalizes the `pseudoLocale` option into a list of strategies: `true` stands
+ * for the default ones, and a single strategy can be given by its name.
+ */
+export function getStrategies(option) {
+    if (option === true) {
+        return DEFAULT_STRATEGIES;
+    }
+
+    const strategies = [].concat(option);
+    const unknown = strategies.filter((name) => STRATEGIES.indexOf(name) < 0);
+
+    if (unknown.length) {
+        throw new Error(
+            `[React Intl] Unknown pseudo-locale strategy: "${unknown[0]}", ` +
+            `expected one of: ${STRATEGIES.join(', ')}.`
+        );
+    }
+
+    return strategies;
+}
+
+/**
+ * Rewrites the text of an ICU message into pseudo-locale text. Only the text
+ * elements are changed, so the arguments, the `plural` and `select` structures
+ * and the `#` tokens are kept as they are.
+ *
+ * The strategies are applied in the order they are given:
+ *
+ * - `accented`: replaces the latin letters with accented ones.
+ * - `padded`: makes the message about a third longer.
+ * - `bracketed`: wraps the message with `[` and `]`.
+ * - `rtl`: forces the message to be displayed right-to-left.
+ */
+export default function pseudoLocalize(message, strategies = DEFAULT_STRATEGIES) {
+    const ast = strategies.reduce(
+        (result, name) => transforms[name](result),
+        parse(message)
+    );
+
+    return printICUMessage(ast);
+}
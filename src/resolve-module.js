@@ -0,0 +1,177 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {statSync, realpathSync} from 'fs';
+
+const EXTENSIONS = ['.js', '.jsx', '.es6', '.es', '.mjs'];
+
+const MODULE_RESOLVER_PLUGIN_REGEXP =
+    /(^|[\\/])(babel-plugin-)?module-resolver([\\/]|$)/;
+
+function isFile(filename) {
+    try {
+        return statSync(filename).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+function isRelative(source) {
+    return source === '.' || source === '..' ||
+        source.indexOf('./') === 0 || source.indexOf('../') === 0;
+}
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the file a module path points at, the same way Node does: the path
+ * itself, the path with one of the known extensions or its `index` file.
+ * When no file exists, the path is returned as it is.
+ */
+function resolveFile(filename, extensions) {
+    const candidates = [filename]
+        .concat(extensions.map((ext) => filename + ext))
+        .concat(extensions.map((ext) => p.join(filename, 'index' + ext)));
+
+    for (let candidate of candidates) {
+        if (isFile(candidate)) {
+            return realpathSync(candidate);
+        }
+    }
+
+    return filename;
+}
+
+/**
+ * Reads the `alias` and `root` options of `babel-plugin-module-resolver` when
+ * it's configured in the same Babel config as this plugin.
+ */
+export function getModuleResolverOptions(file) {
+    const plugins = (file.opts && file.opts.plugins) || [];
+
+    const [, options] = plugins.find(([plugin]) => (
+        plugin && typeof plugin.key === 'string' &&
+        MODULE_RESOLVER_PLUGIN_REGEXP.test(plugin.key)
+    )) || [];
+
+    return options || {};
+}
+
+/**
+ * Normalizes the supported alias declarations into a list of `{name, target}`
+ * pairs, longest names first so nested aliases win over their parents.
+ *
+ * Aliases can be declared as a map of names to directories, or as a list of
+ * names only. In the latter case the alias has no `target`, and any path which
+ * contains the alias as one of its segments is rewritten to start with it.
+ */
+function normalizeAliases(aliases, cwd) {
+    const pairs = Array.isArray(aliases)
+        ? aliases.map((name) => ({name, target: null}))
+        : Object.keys(aliases || {})
+            // Regular expression aliases of `module-resolver` are not supported.
+            .filter((name) => name[0] !== '^')
+            .map((name) => ({
+                name,
+                target: isRelative(aliases[name])
+                    ? p.resolve(cwd, aliases[name])
+                    : aliases[name],
+            }));
+
+    return pairs.sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * Creates a function which turns a module source, as written in an `import`
+ * declaration of `filename`, into an identity that can be compared with the
+ * identity of other module sources.
+ *
+ * Relative sources and sources starting with an alias are resolved to the
+ * real path of the file they point at; bare package names are kept as is.
+ *
+ * Its `resolveFile()` method returns the path of the file a source points at,
+ * even when its identity is an alias name, or `null` for packages.
+ */
+export default function createModuleResolver(filename, options = {}) {
+    const {
+        aliases = {},
+        root = [],
+        cwd = process.cwd(),
+        extensions = EXTENSIONS,
+    } = options;
+
+    const normalizedAliases = normalizeAliases(aliases, cwd);
+    const roots = [].concat(root).map((dir) => p.resolve(cwd, dir));
+    const dirname = filename ? p.dirname(p.resolve(cwd, filename)) : cwd;
+    const cache = new Map();
+
+    function resolveAlias(source) {
+        for (let {name, target} of normalizedAliases) {
+            if (target === null) {
+                const match = new RegExp(
+                    `(^|/)${escapeRegExp(name)}(/|$)`
+                ).exec(source);
+
+                if (match) {
+                    return source.slice(match.index + match[1].length);
+                }
+            } else if (source === name || source.indexOf(name + '/') === 0) {
+                const rest = source.slice(name.length);
+                return p.isAbsolute(target)
+                    ? resolveFile(target + rest, extensions)
+                    : target + rest;
+            }
+        }
+
+        return null;
+    }
+
+    function resolveRoot(source) {
+        for (let dir of roots) {
+            const resolved = resolveFile(p.join(dir, source), extensions);
+            if (isFile(resolved)) {
+                return resolved;
+            }
+        }
+
+        return null;
+    }
+
+    function resolve(source) {
+        if (isRelative(source)) {
+            const absolutePath = p.resolve(dirname, source);
+
+            // Give the aliases, which are declared by name only, a chance to
+            // recognize the path.
+            return resolveAlias(absolutePath.split(p.sep).join('/')) ||
+                resolveFile(absolutePath, extensions);
+        }
+
+        return resolveAlias(source) || resolveRoot(source) || source;
+    }
+
+    function resolveModule(source) {
+        if (!cache.has(source)) {
+            cache.set(source, resolve(source));
+        }
+
+        return cache.get(source);
+    }
+
+    resolveModule.resolveFile = function (source) {
+        if (isRelative(source)) {
+            return resolveFile(p.resolve(dirname, source), extensions);
+        }
+
+        const identity = resolveModule(source);
+        return p.isAbsolute(identity) ? identity : null;
+    };
+
+    return resolveModule;
+}
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {existsSync, readFileSync, writeFileSync} from 'fs';
+import {sync as mkdirpSync} from 'mkdirp';
+import compareIds from './compare-ids';
+
+export const STATUS = {
+    UNTRANSLATED: 'untranslated',
+    TRANSLATED  : 'translated',
+    OUTDATED    : 'outdated',
+    OBSOLETE    : 'obsolete',
+};
+
+function createEntry({defaultMessage, description}, fields) {
+    const entry = {defaultMessage};
+
+    if (description) {
+        entry.description = description;
+    }
+
+    return {...entry, ...fields};
+}
+
+// Entries of flat `{"id": "translation"}` files are turned into entries which
+// only have a `translation`.
+function normalizeEntry(entry) {
+    return typeof entry === 'string' ? {translation: entry} : entry;
+}
+
+function syncEntry(existing, message) {
+    const translation = existing ? existing.translation || '' : '';
+
+    if (!existing || !translation) {
+        return createEntry(message, {
+            translation,
+            status: STATUS.UNTRANSLATED,
+        });
+    }
+
+    // The source text of the translations of flat files isn't known, they're
+    // taken as translations of the current one.
+    if (existing.defaultMessage === undefined) {
+        return createEntry(message, {
+            translation,
+            status: STATUS.TRANSLATED,
+        });
+    }
+
+    const isChanged =
+        existing.defaultMessage !== message.defaultMessage ||
+        (existing.description || null) !== (message.description || null);
+
+    if (isChanged) {
+        // Keeps the source text the translation was made from, which is the
+        // oldest one when the message changed several times since.
+        const previous = existing.previous || createEntry(existing, {});
+
+        return createEntry(message, {
+            translation,
+            status: STATUS.OUTDATED,
+            previous,
+        });
+    }
+
+    const {status} = existing;
+    return {
+        ...existing,
+        status: status === STATUS.OUTDATED ? status : STATUS.TRANSLATED,
+    };
+}
+
+/**
+ * Brings the entries of a locale file in line with the extracted messages.
+ *
+ * Each entry holds the `translation` of a message, along with the
+ * `defaultMessage` and `description` it was translated from, and a `status`:
+ *
+ * - `untranslated`: the message has no translation yet.
+ * - `translated`: the translation is up to date.
+ * - `outdated`: the `defaultMessage` or `description` changed since the
+ *   message was translated, the source text it was translated from is kept
+ *   as `previous`.
+ * - `obsolete`: the message isn't extracted anymore, unless the
+ *   `removeObsolete` option is set, in which case the entry is removed.
+ *
+ * The entries of flat `{"id": "translation"}` files are converted, keeping
+ * their translation.
+ */
+export function syncLocaleMessages(localeMessages, messages, options = {}) {
+    const {removeObsolete = false} = options;
+    const synced = {};
+
+    messages.forEach((message) => {
+        synced[message.id] = syncEntry(normalizeEntry(localeMessages[message.id]), message);
+    });
+
+    Object.keys(localeMessages).forEach((id) => {
+        if (synced.hasOwnProperty(id) || removeObsolete) {
+            return;
+        }
+
+        synced[id] = {...normalizeEntry(localeMessages[id]), status: STATUS.OBSOLETE};
+    });
+
+    return Object.keys(synced)
+        .sort(compareIds)
+        .reduce((hash, id) => {
+            hash[id] = synced[id];
+            return hash;
+        }, {});
+}
+
+export function getLocaleFilename(localesDir, locale) {
+    return p.join(localesDir, locale + '.json');
+}
+
+/**
+ * Syncs the locale files of `locales` in `localesDir` with the extracted
+ * messages, creating the files which don't exist yet.
+ */
+export default function syncLocales(messages, options) {
+    const {localesDir, locales, removeObsolete} = options;
+
+    locales.forEach((locale) => {
+        const filename = getLocaleFilename(localesDir, locale);
+        const localeMessages = existsSync(filename)
+            ? JSON.parse(readFileSync(filename, 'utf8'))
+            : {};
+
+        const synced = syncLocaleMessages(localeMessages, messages, {
+            removeObsolete,
+        });
+
+        mkdirpSync(p.dirname(filename));
+        writeFileSync(filename, JSON.stringify(synced, null, 2));
+    });
+}
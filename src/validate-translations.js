@@ -0,0 +1,223 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import {parse} from 'intl-messageformat-parser';
+import {getArgumentType} from './print-icu-message';
+import {STATUS} from './sync-locales';
+
+// Arguments without a format, e.g. `{name}`, are formatted as strings.
+const SIMPLE_ARGUMENT_TYPE = 'string';
+
+const OPTIONAL_ARGUMENT_TYPES = new Set(['plural', 'selectordinal', 'select']);
+
+export const SEVERITY = {
+    ERROR  : 'error',
+    WARNING: 'warning',
+};
+
+function getPluralCategories(locale, type) {
+    if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+        return null;
+    }
+
+    try {
+        return new Set(
+            new Intl.PluralRules(locale, {type}).resolvedOptions().pluralCategories
+        );
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Collects the arguments of a message, with their type and, for `plural`,
+ * `selectordinal` and `select` arguments, the selectors of their options.
+ * Arguments nested in options are collected too.
+ */
+export function collectArguments(ast, args = new Map()) {
+    ast.elements.forEach((node) => {
+        if (node.type === 'messageTextElement') {
+            return;
+        }
+
+        const type = node.format
+            ? getArgumentType(node.format)
+            : SIMPLE_ARGUMENT_TYPE;
+
+        const argument = args.get(node.id) || {types: new Set(), options: []};
+        argument.types.add(type);
+        args.set(node.id, argument);
+
+        if (OPTIONAL_ARGUMENT_TYPES.has(type)) {
+            argument.options.push({
+                type,
+                selectors: node.format.options.map(({selector}) => selector),
+            });
+
+            node.format.options.forEach((option) => {
+                collectArguments(option.value, args);
+            });
+        }
+    });
+
+    return args;
+}
+
+function getType(argument) {
+    return [...argument.types].join(', ');
+}
+
+function validateOptions(id, name, source, translation, locale, report) {
+    translation.options.forEach(({type, selectors}) => {
+        if (selectors.indexOf('other') < 0) {
+            report(SEVERITY.ERROR, 'missing-other', id,
+                `\`${name}\` ${type} has no \`other\` option.`
+            );
+        }
+
+        if (type === 'select') {
+            const sourceSelectors = source.options.reduce((all, option) => (
+                all.concat(option.selectors)
+            ), []);
+
+            selectors
+                .filter((selector) => sourceSelectors.indexOf(selector) < 0)
+                .forEach((selector) => {
+                    report(SEVERITY.WARNING, 'unknown-select-option', id,
+                        `\`${name}\` select option \`${selector}\` is not ` +
+                        'in the source message.'
+                    );
+                });
+
+            return;
+        }
+
+        const categories = getPluralCategories(
+            locale,
+            type === 'selectordinal' ? 'ordinal' : 'cardinal'
+        );
+
+        if (!categories) {
+            return;
+        }
+
+        selectors
+            .filter((selector) => selector[0] !== '=' && !categories.has(selector))
+            .forEach((selector) => {
+                report(SEVERITY.WARNING, 'invalid-plural-category', id,
+                    `\`${name}\` ${type} category \`${selector}\` is not used ` +
+                    `in "${locale}", which has: ${[...categories].join(', ')}.`
+                );
+            });
+    });
+}
+
+/**
+ * Compares the translation of a message with its source message, and reports
+ * the differences in their arguments through `report()`.
+ */
+export function validateTranslation(id, sourceMessage, translatedMessage, locale, report) {
+    let sourceArgs;
+    let translationArgs;
+
+    try {
+        sourceArgs = collectArguments(parse(sourceMessage));
+    } catch (e) {
+        report(SEVERITY.ERROR, 'invalid-source', id,
+            `The source message failed to parse: ${e.message}`
+        );
+        return;
+    }
+
+    try {
+        translationArgs = collectArguments(parse(translatedMessage));
+    } catch (e) {
+        report(SEVERITY.ERROR, 'invalid-translation', id,
+            `The translation failed to parse: ${e.message}`
+        );
+        return;
+    }
+
+    sourceArgs.forEach((source, name) => {
+        const translation = translationArgs.get(name);
+
+        if (!translation) {
+            report(SEVERITY.WARNING, 'missing-argument', id,
+                `\`{${name}}\` is missing from the translation.`
+            );
+            return;
+        }
+
+        if (getType(source) !== getType(translation)) {
+            report(SEVERITY.ERROR, 'argument-type', id,
+                `\`{${name}}\` is formatted as ${getType(translation)} in the ` +
+                `translation, but as ${getType(source)} in the source message.`
+            );
+        }
+
+        validateOptions(id, name, source, translation, locale, report);
+    });
+
+    translationArgs.forEach((translation, name) => {
+        if (!sourceArgs.has(name)) {
+            report(SEVERITY.ERROR, 'extra-argument', id,
+                `\`{${name}}\` is not in the source message.`
+            );
+        }
+    });
+}
+
+// Obsolete entries converted from flat files have no `defaultMessage`.
+function isSupportedEntry(entry) {
+    return entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+        (typeof entry.defaultMessage === 'string' || entry.status === STATUS.OBSOLETE) &&
+        (entry.translation === undefined || typeof entry.translation === 'string');
+}
+
+/**
+ * Validates the translations of a locale file, as written when syncing
+ * `locales`, against their source messages. Messages which are not
+ * translated, or not extracted anymore, are skipped. Entries of another
+ * shape, e.g. of flat `{"id": "translation"}` files, have no source message
+ * to be validated against, and are reported as errors.
+ *
+ * Returns the `{locale, errors, warnings}` report of the locale, where each
+ * problem is a `{id, type, message}` object.
+ */
+export default function validateTranslations(localeMessages, locale) {
+    const result = {locale, errors: [], warnings: []};
+
+    function report(severity, type, id, message) {
+        const problems = severity === SEVERITY.ERROR
+            ? result.errors
+            : result.warnings;
+
+        problems.push({id, type, message});
+    }
+
+    Object.keys(localeMessages).forEach((id) => {
+        if (!isSupportedEntry(localeMessages[id])) {
+            report(SEVERITY.ERROR, 'unsupported-entry', id,
+                'The entry must be an object with the `defaultMessage` and ' +
+                '`translation` strings of the message, as written when ' +
+                'syncing `locales`.'
+            );
+            return;
+        }
+
+        const {defaultMessage, translation, status} = localeMessages[id];
+
+        if (!translation ||
+            status === STATUS.UNTRANSLATED ||
+            status === STATUS.OBSOLETE) {
+            return;
+        }
+
+        validateTranslation(id, defaultMessage, translation, locale, report);
+    });
+
+    return result;
+}
@@ -0,0 +1,13 @@
+// Writes the messages as a Java `.properties` file, with the descriptions and
+// the files they are used in as comments.
+exports.extension = '.properties';
+
+exports.default = function formatProperties(messages, {references}) {
+    return messages.map(({id, description, defaultMessage}) => {
+        const files = (references.get(id) || []).map(({file}) => file);
+        const comments = (description ? [description] : []).concat(files);
+
+        return comments.map((comment) => `# ${comment}\n`).join('') +
+            `${id}=${defaultMessage}\n`;
+    }).join('\n');
+};
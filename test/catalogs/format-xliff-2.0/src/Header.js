@@ -0,0 +1,9 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const Header = ({intl}) => (
+    <header>
+        <h1>{translate({id: 'app.title', defaultMessage: 'My App', description: 'The title of the app'})}</h1>
+        <button>{translate({id: 'header.logout', defaultMessage: 'Log out <{name}> & leave'})}</button>
+    </header>
+);
@@ -0,0 +1,9 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const Footer = ({intl}) => (
+    <footer>
+        <p>{translate({id: 'app.title', defaultMessage: 'My App', description: 'The title of the app'})}</p>
+        <p>{translate({id: 'footer.copyright', defaultMessage: 'All rights reserved'})}</p>
+    </footer>
+);
@@ -0,0 +1,16 @@
+import React from 'react';
+import SbBaseComponent from 'skybase-core/components/SbBaseComponent';
+import {SbScreen as Screen} from 'skybase-core/components';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Page extends SbBaseComponent {
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
+
+export class Settings extends Screen {
+    render() {
+        return <div>{translate('settings.title')}</div>;
+    }
+}
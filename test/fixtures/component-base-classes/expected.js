@@ -0,0 +1,19 @@
+import React from 'react';
+import SbBaseComponent from 'skybase-core/components/SbBaseComponent';
+import { SbScreen as Screen } from 'skybase-core/components';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export class _Page extends SbBaseComponent {
+    render() {
+        return <div>{translate.call(this, 'page.title', {}, null, this.props.intl.formatMessage, 'page.title')}</div>;
+    }
+}
+
+export const Page = injectIntl(_Page);
+export class _Settings extends Screen {
+    render() {
+        return <div>{translate.call(this, 'settings.title', {}, null, this.props.intl.formatMessage, 'settings.title')}</div>;
+    }
+}
+export const Settings = injectIntl(_Settings);
@@ -0,0 +1,14 @@
+import React, {PureComponent} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+class Screen extends PureComponent {
+    getTitle() {
+        return null;
+    }
+}
+
+export class Page extends Screen {
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
@@ -0,0 +1,16 @@
+import React, { PureComponent } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+class Screen extends PureComponent {
+    getTitle() {
+        return null;
+    }
+}
+
+import { injectIntl } from 'react-intl';
+export class _Page extends Screen {
+    render() {
+        return <div>{translate.call(this, 'page.title', {}, null, this.props.intl.formatMessage, 'page.title')}</div>;
+    }
+}
+export const Page = injectIntl(_Page);
@@ -0,0 +1,8 @@
+import * as React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Page extends React.Component {
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
@@ -0,0 +1,8 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Page extends React.PureComponent {
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export class _Page extends React.PureComponent {
+    render() {
+        return <div>{translate.call(this, 'page.title', {}, null, this.props.intl.formatMessage, 'page.title')}</div>;
+    }
+}
+export const Page = injectIntl(_Page);
@@ -0,0 +1,9 @@
+import React from 'react';
+import SbBaseComponent from 'skybase-core/components/SbBaseComponent';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Page extends SbBaseComponent {
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
@@ -0,0 +1,6 @@
+import React from 'react';
+import {translate} from '../../../src/skybase-core/utils/translate';
+
+export const Title = () => (
+    <h1>{translate('title.text')}</h1>
+);
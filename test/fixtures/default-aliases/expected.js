@@ -0,0 +1,10 @@
+var _this = this;
+
+import React from 'react';
+import { translate } from '../../../src/skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export const _Title = ({
+    intl
+}) => <h1>{translate.call(_this, 'title.text', {}, null, intl.formatMessage, 'title.text')}</h1>;
+export const Title = injectIntl(_Title);
@@ -0,0 +1,10 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export default class Page extends Component {
+    static navigationOptions = {};
+
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
@@ -0,0 +1,14 @@
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+class Page extends Component {
+    static navigationOptions = {};
+
+    render() {
+        return <div>{translate.call(this, 'page.title', {}, null, this.props.intl.formatMessage, 'page.title')}</div>;
+    }
+}
+export default Object.assign(injectIntl(Page), {
+    navigationOptions: Page.navigationOptions
+});
@@ -0,0 +1,6 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export default ({title}) => (
+    <div title={title}>{translate('footer.text')}</div>
+);
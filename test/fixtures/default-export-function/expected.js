@@ -0,0 +1,11 @@
+var _this = this;
+
+import React from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+
+const _actual = ({ title, intl
+}) => <div title={title}>{translate.call(_this, 'footer.text', {}, null, intl.formatMessage, 'footer.text')}</div>;
+
+export default injectIntl(_actual);
@@ -0,0 +1,11 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+// Named after the file, as anonymous default exports are.
+export class actual extends Component {
+    render() {
+        return <p>{translate('collision.class')}</p>;
+    }
+}
+
+export default (props) => <p>{translate('collision.default')}</p>;
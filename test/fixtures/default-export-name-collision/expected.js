@@ -0,0 +1,18 @@
+var _this = this;
+
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+// Named after the file, as anonymous default exports are.
+import { injectIntl } from 'react-intl';
+export class _actual extends Component {
+    render() {
+        return <p>{translate.call(this, 'collision.class', {}, null, this.props.intl.formatMessage, 'collision.class')}</p>;
+    }
+}
+
+export const actual = injectIntl(_actual);
+
+const _actual2 = props => <p>{translate.call(_this, 'collision.default', {}, null, props.intl.formatMessage, 'collision.default')}</p>;
+
+export default injectIntl(_actual2);
@@ -0,0 +1,11 @@
+import {defineMessages} from 'react-intl';
+
+export const messages = defineMessages({
+    greeting: {
+        id: 'app.greeting',
+        defaultMessage: 'Hello, {name}!',
+    },
+    title: {
+        id: 'app.title',
+    },
+});
@@ -0,0 +1,12 @@
+import { defineMessages } from 'react-intl';
+
+export const messages = defineMessages({
+    greeting: {
+        id: 'app.greeting',
+        defaultMessage: 'Hallo, {name}!'
+    },
+    title: {
+        id: 'app.title',
+        defaultMessage: 'Titel'
+    }
+});
@@ -0,0 +1,5 @@
+import {translate} from 'skybase-core/utils/translate';
+
+export function getLabel(section, field, intl) {
+    return translate(`nav.${section}.${field}`, {}, null, intl.formatMessage);
+}
@@ -0,0 +1,7 @@
+import React, { Component } from 'react';
+
+export class Title extends Component {
+    render() {
+        return <h1>{this.context.intl.formatMessage({ id: 'title.text', defaultMessage: 'Hello' })}</h1>;
+    }
+}
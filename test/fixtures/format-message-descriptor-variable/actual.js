@@ -0,0 +1,10 @@
+import React from 'react';
+import {defineMessages} from 'react-intl';
+
+const messages = defineMessages({
+    title: {id: 'title.text', defaultMessage: 'Hello'},
+});
+
+export const Title = ({intl}) => (
+    <h1>{intl.formatMessage(messages.title)}</h1>
+);
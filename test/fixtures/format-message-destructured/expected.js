@@ -0,0 +1,11 @@
+import React from 'react';
+
+export const Title = ({ intl }) => <h1>{intl.formatMessage({ id: 'title.text', defaultMessage: 'Hello' })}</h1>;
+
+export const Subtitle = ({ intl: i18n }) => <h2>{i18n.formatMessage({ id: 'subtitle.text', defaultMessage: 'World' })}</h2>;
+
+export const Footer = props => {
+    const { intl } = props;
+
+    return <p>{intl.formatMessage({ id: 'footer.text', defaultMessage: 'Bye' })}</p>;
+};
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export const Title = ({intl}) => (
+    <h1 dangerouslySetInnerHTML={{__html: intl.formatHTMLMessage({id: 'title.html', defaultMessage: '<b>Hello</b>'})}} />
+);
@@ -0,0 +1,3 @@
+import React from 'react';
+
+export const Title = ({ intl }) => <h1 dangerouslySetInnerHTML={{ __html: intl.formatHTMLMessage({ id: 'title.html', defaultMessage: '<b>Hello</b>' }) }} />;
@@ -0,0 +1,13 @@
+import React, {Component} from 'react';
+
+export class Title extends Component {
+    render() {
+        const intl = this.props.intl;
+
+        return (
+            <h1 title={this.props.intl.formatMessage({id: 'title.tooltip', defaultMessage: 'Welcome, {name}'}, {name: 'you'})}>
+                {intl.formatMessage({id: 'title.text', defaultMessage: 'Hello', description: 'Greeting'})}
+            </h1>
+        );
+    }
+}
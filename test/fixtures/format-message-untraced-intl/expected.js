@@ -0,0 +1,5 @@
+function getTitle(intl) {
+    return intl.formatMessage({ id: 'title.text', defaultMessage: 'Hello' });
+}
+
+export default getTitle;
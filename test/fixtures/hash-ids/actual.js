@@ -0,0 +1,19 @@
+import React from 'react';
+import {defineMessages, FormattedMessage} from 'react-intl';
+import {translate} from 'skybase-core/utils/translate';
+
+const messages = defineMessages({
+    greeting: {
+        id: 'app.greeting',
+        defaultMessage: 'Hello, {name}!',
+        description: 'Greeting in the header',
+    },
+});
+
+export const Greeting = ({name}) => (
+    <div>
+        <FormattedMessage id="app.welcome" defaultMessage="Welcome" />
+        <FormattedMessage defaultMessage="Generated" />
+        {translate('app.logout', {}, 'Logout link')}
+    </div>
+);
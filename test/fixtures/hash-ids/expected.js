@@ -0,0 +1,22 @@
+var _this = this;
+
+import React from 'react';
+import { defineMessages, FormattedMessage } from 'react-intl';
+import { translate } from 'skybase-core/utils/translate';
+
+const messages = defineMessages({
+    greeting: {
+        id: 'MpdDp23P',
+        defaultMessage: 'Hello, {name}!',
+        description: 'Greeting in the header'
+    }
+});
+
+import { injectIntl } from 'react-intl';
+export const _Greeting = ({ name, intl
+}) => <div>
+        <FormattedMessage id="wUdjG3aD" defaultMessage="Welcome" />
+        <FormattedMessage id="d0OXmmKb" defaultMessage="Generated" />
+        {translate.call(_this, '66vrxePM', {}, 'Logout link', intl.formatMessage, 'app.logout')}
+    </div>;
+export const Greeting = injectIntl(_Greeting);
@@ -0,0 +1,13 @@
+import React, {Component} from 'react';
+import hoistStatics from 'hoist-non-react-statics';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Header extends Component {
+    static navigationOptions = {};
+
+    render() {
+        return <h1>{translate('header.title')}</h1>;
+    }
+}
+
+export const withHeaderStatics = (component) => hoistStatics(component, Header);
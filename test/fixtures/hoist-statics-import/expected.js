@@ -0,0 +1,15 @@
+import React, { Component } from 'react';
+import hoistStatics from 'hoist-non-react-statics';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export class _Header extends Component {
+    static navigationOptions = {};
+
+    render() {
+        return <h1>{translate.call(this, 'header.title', {}, null, this.props.intl.formatMessage, 'header.title')}</h1>;
+    }
+}
+
+export const Header = hoistStatics(injectIntl(_Header), _Header);
+export const withHeaderStatics = component => hoistStatics(component, Header);
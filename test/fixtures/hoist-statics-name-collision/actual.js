@@ -0,0 +1,12 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+const hoistNonReactStatics = (component) => component;
+
+export class Header extends Component {
+    static navigationOptions = hoistNonReactStatics({});
+
+    render() {
+        return <h1>{translate('header.title')}</h1>;
+    }
+}
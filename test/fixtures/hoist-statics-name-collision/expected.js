@@ -0,0 +1,15 @@
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+const hoistNonReactStatics = component => component;
+
+import { injectIntl } from 'react-intl';
+import _hoistNonReactStatics from 'hoist-non-react-statics';
+export class _Header extends Component {
+    static navigationOptions = hoistNonReactStatics({});
+
+    render() {
+        return <h1>{translate.call(this, 'header.title', {}, null, this.props.intl.formatMessage, 'header.title')}</h1>;
+    }
+}
+export const Header = _hoistNonReactStatics(injectIntl(_Header), _Header);
@@ -0,0 +1,24 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+import {ThemeContext} from './theme';
+
+export default class Page extends Component {
+    static contextType = ThemeContext;
+    static navigationOptions = {};
+
+    static getDerivedStateFromProps() {
+        return null;
+    }
+
+    static getDerivedStateFromError() {
+        return {failed: true};
+    }
+
+    static getTitle() {
+        return 'page';
+    }
+
+    render() {
+        return <div>{translate('page.title')}</div>;
+    }
+}
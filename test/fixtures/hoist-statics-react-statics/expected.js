@@ -0,0 +1,29 @@
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+import { ThemeContext } from './theme';
+
+import { injectIntl } from 'react-intl';
+class Page extends Component {
+    static contextType = ThemeContext;
+    static navigationOptions = {};
+
+    static getDerivedStateFromProps() {
+        return null;
+    }
+
+    static getDerivedStateFromError() {
+        return { failed: true };
+    }
+
+    static getTitle() {
+        return 'page';
+    }
+
+    render() {
+        return <div>{translate.call(this, 'page.title', {}, null, this.props.intl.formatMessage, 'page.title')}</div>;
+    }
+}
+export default Object.assign(injectIntl(Page), {
+    navigationOptions: Page.navigationOptions,
+    getTitle: Page.getTitle
+});
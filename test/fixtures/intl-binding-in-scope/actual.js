@@ -0,0 +1,9 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Menu extends Component {
+    render() {
+        const {intl} = this.props;
+        return <span>{translate('menu.label')}</span>;
+    }
+}
@@ -0,0 +1,11 @@
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export class _Menu extends Component {
+    render() {
+        const { intl } = this.props;
+        return <span>{translate.call(this, 'menu.label', {}, null, intl.formatMessage, 'menu.label')}</span>;
+    }
+}
+export const Menu = injectIntl(_Menu);
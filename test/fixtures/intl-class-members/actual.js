@@ -0,0 +1,23 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Header extends Component {
+    constructor(props) {
+        super(props);
+        this.title = translate('header.title');
+    }
+
+    onClick = () => {
+        alert(translate('header.clicked'));
+    };
+
+    renderItems(items) {
+        return items.map(function (item) {
+            return translate('header.item', {item});
+        });
+    }
+
+    render() {
+        return <h1 onClick={this.onClick}>{translate('header.greeting')}</h1>;
+    }
+}
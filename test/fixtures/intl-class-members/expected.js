@@ -0,0 +1,27 @@
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export class _Header extends Component {
+    constructor(props) {
+        super(props);
+        this.title = translate.call(this, 'header.title', {}, null, this.props.intl.formatMessage, 'header.title');
+    }
+
+    onClick = () => {
+        alert(translate.call(this, 'header.clicked', {}, null, this.props.intl.formatMessage, 'header.clicked'));
+    };
+
+    renderItems(items) {
+        const _intl = this.props.intl;
+
+        return items.map(function (item) {
+            return translate.call(this, 'header.item', { item }, null, _intl.formatMessage, 'header.item');
+        });
+    }
+
+    render() {
+        return <h1 onClick={this.onClick}>{translate.call(this, 'header.greeting', {}, null, this.props.intl.formatMessage, 'header.greeting')}</h1>;
+    }
+}
+export const Header = injectIntl(_Header);
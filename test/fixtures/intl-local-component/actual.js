@@ -0,0 +1,10 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+const Item = ({name, intl}) => (
+    <li title={translate('item.title')}>{name}</li>
+);
+
+export const List = ({items}) => (
+    <ul>{items.map((item) => <li>{translate('list.item', {item})}</li>)}</ul>
+);
@@ -0,0 +1,11 @@
+var _this = this;
+
+import React from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+const Item = ({ name, intl }) => <li title={translate.call(_this, 'item.title', {}, null, intl.formatMessage, 'item.title')}>{name}</li>;
+
+import { injectIntl } from 'react-intl';
+export const _List = ({ items, intl
+}) => <ul>{items.map(item => <li>{translate.call(_this, 'list.item', { item }, null, intl.formatMessage, 'list.item')}</li>)}</ul>;
+export const List = injectIntl(_List);
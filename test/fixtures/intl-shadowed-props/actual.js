@@ -0,0 +1,6 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const List = (props) => {
+    return <ul>{props.items.map((props) => <li>{translate('list.item')}</li>)}</ul>;
+};
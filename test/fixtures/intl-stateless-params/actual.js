@@ -0,0 +1,18 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const Title = ({title, ...rest}) => (
+    <h1 title={translate('title.tooltip')} {...rest}>{title}</h1>
+);
+
+export const Label = (props) => (
+    <label>{translate('label.text', {name: props.name})}</label>
+);
+
+export const Empty = () => (
+    <p>{translate('empty.text')}</p>
+);
+
+export const Renamed = ({intl: i18n}) => (
+    <p>{translate('renamed.text')}</p>
+);
@@ -0,0 +1,20 @@
+var _this = this;
+
+import React from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+import { injectIntl } from 'react-intl';
+export const _Title = ({ title, intl,
+    ...rest }) => <h1 title={translate.call(_this, 'title.tooltip', {}, null, intl.formatMessage, 'title.tooltip')} {...rest}>{title}</h1>;
+
+export const Title = injectIntl(_Title);
+export const _Label = props => <label>{translate.call(_this, 'label.text', { name: props.name }, null, props.intl.formatMessage, 'label.text')}</label>;
+
+export const Label = injectIntl(_Label);
+export const _Empty = ({
+    intl
+}) => <p>{translate.call(_this, 'empty.text', {}, null, intl.formatMessage, 'empty.text')}</p>;
+
+export const Empty = injectIntl(_Empty);
+export const _Renamed = ({ intl: i18n }) => <p>{translate.call(_this, 'renamed.text', {}, null, i18n.formatMessage, 'renamed.text')}</p>;
+export const Renamed = injectIntl(_Renamed);
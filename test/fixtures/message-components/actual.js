@@ -0,0 +1,10 @@
+import React from 'react';
+import {T} from 'skybase-ui/T';
+import Text from 'skybase-ui/Text';
+
+export const Greeting = ({name}) => (
+    <p>
+        <T msgId="greeting.text" text="Hello, {name}!" note="Greeting of the user" vars={{name}} />
+        <Text id="greeting.subtitle" defaultMessage="Welcome back" description="Subtitle" />
+    </p>
+);
@@ -0,0 +1,8 @@
+import React from 'react';
+import { T } from 'skybase-ui/T';
+import Text from 'skybase-ui/Text';
+
+export const Greeting = ({ name }) => <p>
+        <T msgId="greeting.text" text={"[Hello, {name}!]"} vars={{ name }} />
+        <Text id="greeting.subtitle" defaultMessage={"[Welcome back]"} />
+    </p>;
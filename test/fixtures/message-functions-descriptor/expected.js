@@ -0,0 +1,3 @@
+import format from 'app/format';
+
+export const title = locale => format(locale, { id: 'app.title', defaultMessage: 'Title' });
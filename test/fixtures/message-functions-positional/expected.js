@@ -0,0 +1,4 @@
+import { t } from 'app/i18n';
+
+export const title = t('app.title', undefined, '[app.title]');
+export const greeting = t('app.greeting', 'Greeting of the user', '[Hello, {name}!]', { name: 'you' });
@@ -0,0 +1,13 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+// @noInjectIntl
+export class Header extends Component {
+    render() {
+        return <h1>{translate('header.title')}</h1>;
+    }
+}
+
+export const Footer = ({intl}) => (
+    <p>{translate('footer.text', {}, null, intl.formatMessage)}</p>
+);
@@ -0,0 +1,13 @@
+var _this = this;
+
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+// @noInjectIntl
+export class Header extends Component {
+    render() {
+        return <h1>{translate.call(this, 'header.title', {}, null, this.props.intl.formatMessage, 'header.title')}</h1>;
+    }
+}
+
+export const Footer = ({ intl }) => <p>{translate.call(_this, 'footer.text', {}, null, intl.formatMessage, 'footer.text')}</p>;
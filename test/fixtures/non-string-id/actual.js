@@ -0,0 +1,5 @@
+import {translate} from 'skybase-core/utils/translate';
+
+export function getLabel(intl) {
+    return translate(123, {}, null, intl.formatMessage);
+}
@@ -0,0 +1,8 @@
+import {defineMessages} from 'react-intl';
+
+export const messages = defineMessages({
+    greeting: {
+        id: 'greeting',
+        defaultMessage: 'Hello,\n{name, select, other {you}',
+    },
+});
@@ -0,0 +1,6 @@
+import React from 'react';
+import {FormattedMessage} from 'react-intl';
+
+export const Greeting = () => (
+    <FormattedMessage id="greeting" defaultMessage="Hello, {name" />
+);
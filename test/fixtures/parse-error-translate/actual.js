@@ -0,0 +1,5 @@
+import {translate} from 'skybase-core/utils/translate';
+
+export function getGreeting(intl) {
+    return translate({id: 'greeting', defaultMessage: 'Hello, {name, plural}'}, {}, null, intl.formatMessage);
+}
@@ -0,0 +1,9 @@
+import React from 'react';
+import {FormattedMessage, FormattedPlural} from 'react-intl';
+
+export const Cart = ({count}) => (
+    <p>
+        <FormattedMessage id="cart.title" defaultMessage="Cart" />
+        <FormattedPlural id="cart.items" value={count} one="one item" other="many items" />
+    </p>
+);
@@ -0,0 +1,9 @@
+import React from 'react';
+import { FormattedMessage, FormattedPlural } from 'react-intl';
+
+export const Cart = ({ count }) => <p>
+        <FormattedMessage id="cart.title" defaultMessage="Cart" />
+        <FormattedMessage id="cart.items" defaultMessage={"{count, plural, one {one item} other {many items}}"} values={{
+        count: count
+    }} />
+    </p>;
@@ -0,0 +1,6 @@
+import React from 'react';
+import {FormattedPlural} from 'react-intl';
+
+export const Cart = () => (
+    <FormattedPlural id="cart.items" one="one item" other="many items" />
+);
@@ -0,0 +1,7 @@
+import { FormattedMessage as _FormattedMessage } from 'react-intl';
+import React from 'react';
+import { FormattedPlural } from 'react-intl';
+
+export const Cart = ({ count }) => <_FormattedMessage id="cart.items" defaultMessage={"{count, plural, one {one item} other {many items}}"} values={{
+    count: count
+}} />;
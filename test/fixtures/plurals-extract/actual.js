@@ -0,0 +1,15 @@
+import React from 'react';
+import {FormattedPlural} from 'react-intl';
+
+export const Cart = ({count, rank}) => (
+    <div>
+        <FormattedPlural
+            id="cart.items"
+            description="Number of items in the cart"
+            value={count}
+            one="# item, {not an argument}"
+            other="# items"
+        />
+        <FormattedPlural value={rank} style="ordinal" one="st" two="nd" few="rd" other="th" />
+    </div>
+);
@@ -0,0 +1,6 @@
+import React from 'react';
+import {FormattedPlural} from 'react-intl';
+
+export const Cart = ({count}) => (
+    <FormattedPlural id="cart.items" value={count} one="one item" />
+);
@@ -0,0 +1,12 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export class Header extends Component {
+    render() {
+        return <h1>{translate('header.title')}</h1>;
+    }
+}
+
+export const Greeting = ({name}) => (
+    <p>{translate('greeting.text', {name})}</p>
+);
@@ -0,0 +1,15 @@
+var _this = this;
+
+import React, { Component } from 'react';
+import { translate } from 'skybase-core/utils/translate';
+
+export class Header extends Component {
+    render() {
+        return <h1>{"header.title"}</h1>;
+    }
+}
+
+import { injectIntl } from 'react-intl';
+export const _Greeting = ({ name, intl
+}) => <p>{translate.call(_this, 'greeting.text', { name }, null, intl.formatMessage, 'greeting.text')}</p>;
+export const Greeting = injectIntl(_Greeting);
@@ -0,0 +1,8 @@
+import React from 'react';
+import {Message, translate} from './skybase-components/i18n';
+
+export const Title = ({intl}) => (
+    <h1 title={translate('title.tooltip', {}, null, intl.formatMessage)}>
+        <Message id="title.text" defaultMessage="Welcome" />
+    </h1>
+);
@@ -0,0 +1,8 @@
+var _this = this;
+
+import React from 'react';
+import { Message, translate } from './skybase-components/i18n';
+
+export const Title = ({ intl }) => <h1 title={translate.call(_this, 'title.tooltip', {}, null, intl.formatMessage, 'title.tooltip')}>
+        <Message id="title.text" defaultMessage="Welcome" />
+    </h1>;
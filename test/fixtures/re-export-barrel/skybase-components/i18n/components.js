@@ -0,0 +1 @@
+export {FormattedMessage as Message} from 'react-intl';
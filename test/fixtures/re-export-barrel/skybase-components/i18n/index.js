@@ -0,0 +1,2 @@
+export {translate} from 'skybase-core/utils/translate';
+export * from './components';
@@ -0,0 +1,5 @@
+import {translate} from 'skybase-core/utils/translate';
+
+export function helper() {
+    return translate('helper.text');
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+function label(item) {
+    return translate('item.label');
+}
+
+export const List = ({items}) => (
+    <ul>{items.map((item) => <li>{label(item)}</li>)}</ul>
+);
@@ -0,0 +1,10 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+class Foo extends Component {
+    render() {
+        return <p>{translate('foo.text')}</p>;
+    }
+}
+
+export default Foo;
@@ -0,0 +1,6 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export function Bar() {
+    return <p>{translate('bar.text')}</p>;
+}
@@ -0,0 +1,6 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const Baz = function () {
+    return <p>{translate('baz.text')}</p>;
+};
@@ -0,0 +1,8 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+const Item = ({name}) => (
+    <li title={translate('item.title')}>{name}</li>
+);
+
+export const List = ({items}) => <ul>{items.map((name) => <Item name={name} />)}</ul>;
@@ -0,0 +1,4 @@
+import React, {Component} from 'react';
+import {translate} from 'skybase-core/utils/translate';
+
+export const A = () => <p>{translate('a.text')}</p>, B = () => <p>{translate('b.text')}</p>;
@@ -0,0 +1,6 @@
+import React from 'react';
+import {FormattedMessage} from 'react-intl';
+
+export const Cart = ({name}) => (
+    <FormattedMessage id="cart.owner" defaultMessage="Cart of {name}" values={{user: name}} />
+);
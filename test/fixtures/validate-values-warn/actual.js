@@ -0,0 +1,13 @@
+import React from 'react';
+import {FormattedMessage} from 'react-intl';
+import {translate} from 'skybase-core/utils/translate';
+
+export const Cart = ({count, name, intl}) => (
+    <div>
+        <FormattedMessage id="cart.owner" defaultMessage="Cart of {name}" values={{user: name}} />
+        <FormattedMessage id="cart.count" defaultMessage="{count, plural, one {# item} other {# items}}" values={{count: '2'}} />
+        <FormattedMessage id="cart.total" defaultMessage="{total, number} in total" values={{total: 'many'}} />
+        {translate({id: 'cart.title', defaultMessage: 'Cart of {name}'}, {name}, null, intl.formatMessage)}
+        {translate({id: 'cart.empty', defaultMessage: 'Empty cart of {name}'}, {}, null, intl.formatMessage)}
+    </div>
+);
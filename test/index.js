@@ -0,0 +1,223 @@
+/*
+ * Copyright 2015, Yahoo Inc.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+import * as p from 'path';
+import {tmpdir} from 'os';
+import {
+    existsSync,
+    mkdtempSync,
+    readdirSync,
+    readFileSync,
+    statSync,
+    writeFileSync,
+} from 'fs';
+import assert from 'assert';
+import {sync as mkdirpSync} from 'mkdirp';
+import {sync as rimrafSync} from 'rimraf';
+import {transformFileSync} from 'babel-core';
+import plugin from '../src/index';
+import {mergeCatalog} from '../src/message-catalog';
+import validateTranslations from '../src/validate-translations';
+
+const fixturesDir = p.join(__dirname, 'fixtures');
+const catalogsDir = p.join(__dirname, 'catalogs');
+
+function trim(str) {
+    return str.toString().replace(/^\s+|\s+$/g, '');
+}
+
+function readJSON(filename, defaultValue) {
+    return existsSync(filename)
+        ? JSON.parse(readFileSync(filename, 'utf8'))
+        : defaultValue;
+}
+
+// Lists the files of a directory and its subdirectories, relative to it.
+function listFiles(dirname, prefix = '') {
+    return readdirSync(p.join(dirname, prefix))
+        .sort()
+        .reduce((files, name) => {
+            const file = p.join(prefix, name);
+
+            return files.concat(statSync(p.join(dirname, file)).isDirectory()
+                ? listFiles(dirname, file)
+                : [file]);
+        }, []);
+}
+
+function copyFiles(fromDir, toDir, files) {
+    files.forEach((file) => {
+        mkdirpSync(p.dirname(p.join(toDir, file)));
+        writeFileSync(p.join(toDir, file), readFileSync(p.join(fromDir, file)));
+    });
+}
+
+function transform(filename, options = {}) {
+    return transformFileSync(filename, {
+        babelrc: false,
+        plugins: [
+            'syntax-jsx',
+            'syntax-class-properties',
+            'syntax-object-rest-spread',
+            [plugin, options],
+        ],
+    });
+}
+
+// Collects the warnings logged while `fn` runs, instead of printing them.
+function collectWarnings(fn) {
+    const {warn} = console;
+    const warnings = [];
+
+    console.warn = (message) => warnings.push(String(message));
+
+    try {
+        return {result: fn(), warnings};
+    } finally {
+        console.warn = warn;
+    }
+}
+
+// Each fixture is a directory with the `actual.js` source, the plugin's
+// `options.json`, if any, and either the `expected.js` output code and the
+// `expected.json` extracted messages, or the `expected-error.txt` message the
+// transform fails with, each of whose lines is a part of the message or of
+// its code frame. The `expected-warnings.txt` file lists a part of each
+// warning logged, one per line, when there are any.
+describe('emits', () => {
+    readdirSync(fixturesDir).forEach((caseName) => {
+        const fixtureDir = p.join(fixturesDir, caseName);
+
+        // Ignores hidden files, e.g. .DS_Store
+        if (/^\./.test(caseName)) {
+            return;
+        }
+
+        it(`output match: ${caseName}`, () => {
+            const filename = p.join(fixtureDir, 'actual.js');
+            const options = readJSON(p.join(fixtureDir, 'options.json'), {});
+            const errorFilename = p.join(fixtureDir, 'expected-error.txt');
+
+            if (existsSync(errorFilename)) {
+                const expectedError = trim(readFileSync(errorFilename, 'utf8'));
+
+                assert.throws(() => transform(filename, options), (e) => {
+                    const error = `${e.message}\n${e.codeFrame || ''}`;
+
+                    return expectedError.split('\n').every((line) => (
+                        error.indexOf(line) >= 0
+                    ));
+                });
+                return;
+            }
+
+            const warningsFilename = p.join(fixtureDir, 'expected-warnings.txt');
+            const expectedWarnings = existsSync(warningsFilename)
+                ? trim(readFileSync(warningsFilename, 'utf8')).split('\n')
+                : [];
+            const {result: {code, metadata}, warnings} = collectWarnings(() => (
+                transform(filename, options)
+            ));
+
+            assert.equal(warnings.length, expectedWarnings.length, warnings.join('\n'));
+            expectedWarnings.forEach((expectedWarning, i) => {
+                assert.ok(warnings[i].indexOf(expectedWarning) >= 0, warnings[i]);
+            });
+            assert.equal(trim(code), trim(readFileSync(p.join(fixtureDir, 'expected.js'))));
+            assert.deepEqual(
+                metadata['react-intl'].messages,
+                readJSON(p.join(fixtureDir, 'expected.json'), [])
+            );
+        });
+    });
+});
+
+// Each catalog case is a directory with the `src/` files of a build, the
+// plugin's `options.json`, the `merge.json` options of `mergeCatalog()`, if
+// any, and the files it starts with, e.g. `locales/`. The
+// build runs in a copy of it, in both orders of its source files, and its
+// catalog is merged into the files of `expected/`, or fails with the
+// `expected-error.txt` message.
+describe('merges', () => {
+    const cwd = process.cwd();
+
+    readdirSync(catalogsDir).forEach((caseName) => {
+        const caseDir = p.join(catalogsDir, caseName);
+
+        if (/^\./.test(caseName)) {
+            return;
+        }
+
+        function build(reverse) {
+            const buildDir = mkdtempSync(p.join(tmpdir(), 'react-intl-'));
+            const options = readJSON(p.join(caseDir, 'options.json'));
+            const inputFiles = listFiles(caseDir).filter((file) => (
+                !/^(expected\b|(options|merge)\.json$)/.test(file)
+            ));
+            const sourceFiles = inputFiles.filter((file) => /^src\b.*\.js$/.test(file));
+
+            copyFiles(caseDir, buildDir, inputFiles);
+            process.chdir(buildDir);
+
+            try {
+                (reverse ? sourceFiles.reverse() : sourceFiles).forEach((file) => {
+                    transform(p.join(buildDir, file), options);
+                });
+
+                mergeCatalog(options.messagesFile, readJSON(p.join(caseDir, 'merge.json'), {}));
+
+                return listFiles(p.join(caseDir, 'expected')).reduce((files, file) => {
+                    files[file] = readFileSync(p.join(buildDir, file), 'utf8');
+                    return files;
+                }, {});
+            } finally {
+                process.chdir(cwd);
+                rimrafSync(buildDir);
+            }
+        }
+
+        it(`output match: ${caseName}`, () => {
+            const errorFilename = p.join(caseDir, 'expected-error.txt');
+
+            if (existsSync(errorFilename)) {
+                const expectedError = trim(readFileSync(errorFilename, 'utf8'));
+
+                assert.throws(() => build(false), (e) => (
+                    e.message.indexOf(expectedError) >= 0
+                ));
+                return;
+            }
+
+            const expectedDir = p.join(caseDir, 'expected');
+            const files = build(false);
+
+            Object.keys(files).forEach((file) => {
+                assert.equal(
+                    trim(files[file]),
+                    trim(readFileSync(p.join(expectedDir, file))),
+                    file
+                );
+            });
+
+            assert.deepEqual(build(true), files, 'depends on the build order');
+        });
+    });
+});
+
+describe('validateTranslations', () => {
+    it('reports entries without a source message', () => {
+        const {errors} = validateTranslations({
+            'app.title': 'Meine App',
+            'app.user' : {translation: 'Benutzer'},
+            'app.help' : {defaultMessage: 'Help', translation: 'Hilfe'},
+        }, 'de');
+
+        assert.deepEqual(errors.map(({id, type}) => ({id, type})), [
+            {id: 'app.title', type: 'unsupported-entry'},
+            {id: 'app.user', type: 'unsupported-entry'},
+        ]);
+    });
+});